@@ -5,49 +5,158 @@
  *
  * Supply model:
  *   CANONICAL_TOTAL = 1,000,000,000 MYTH (constant)
- *   l2Supply = getSupply() on L2 RPC (~503M native MYTH)
- *   l1Supply = real L1 token supply via getTokenSupply(), fallback to CANONICAL - l2
+ *   l2Supply = L2 MYTH mint supply (~503M MYTH)
+ *   l1Supply = L1 MYTH mint supply
+ *   Both come from one batched, slot-pinned account read per chain per poll
  *   totalSupply = l1 + l2
- *   circulating = totalSupply - foundationBalance - bridgeLocked - burned
+ *   circulating = totalSupply - sum(excluded non-circulating registry balances)
  *
  * Endpoints:
  *   GET /                    -> full supply + price data
- *   GET /supply              -> total supply number (CoinGecko compat)
- *   GET /circulating         -> circulating supply (CoinGecko compat)
+ *   GET /supply              -> total supply number (CoinGecko compat, 503 when stale)
+ *   GET /circulating         -> circulating supply (CoinGecko compat, 503 when stale)
+ *   GET /max-supply          -> canonical max supply (CoinGecko compat)
+ *   GET /api/v1/cmc/{total,circulating,max}-supply -> CoinMarketCap supply API (decimal)
+ *   GET /api/v1/defillama/supply -> DefiLlama-style supply JSON
  *   GET /price               -> current price data
+ *   GET /api/v1/price/candles -> price OHLC candles with volume/liquidity
+ *   GET /api/v1/price/twap   -> time-weighted average price over a window
+ *   GET /api/v1/price/vwap   -> volume-weighted average price over a window
  *   GET /breakdown           -> supply breakdown by chain
  *   GET /api/v1/supply       -> structured API for explorer/frontends
+ *   GET /api/v1/supply/non-circulating -> per-account exclusion breakdown
+ *   GET /api/v1/supply/projection -> vesting status + monthly circulating projection
  *   GET /api/supply          -> backward compat (same as /api/v1/supply)
  *   GET /api/supply/stats    -> fee breakdown, validator rewards, foundation
  *   GET /api/supply/history  -> burn history over time
- *   GET /api/supply/validators -> validator info
+ *   GET /api/supply/burns    -> per-transaction burn ledger + FeeConfig reconciliation
+ *   GET /api/supply/epochs   -> per-epoch burn, distribution and foundation reports
+ *   GET /api/supply/epochs/:n -> one epoch's report
+ *   GET /api/v1/supply/history -> full supply snapshots, bucketed (1m/1h/1d)
+ *   GET /api/supply/validators -> validators with APR estimates (sort/filter/page)
+ *   GET /api/supply/validators/:pubkey -> one validator + its stake/reward history
+ *   GET /api/v1/stream       -> SSE stream: snapshot + per-poll diffs by channel
+ *   WS  /api/v1/ws           -> same stream over WebSocket
+ *   GET /api/v1/invariants   -> supply invariant status and violation history
+ *   GET /api/v1/bridge       -> bridge backing, lock/reserve ratio and L1<->L2 flows
+ *   GET /api/v1/attestation  -> ed25519-signed supply snapshot
+ *   GET /.well-known/attestation-key.json -> attestation signer public key
+ *   GET /api/v1/tokens       -> tracked tokens (MYTH plus TOKENS_CONFIG)
+ *   GET /api/v1/tokens/:symbol/{supply,price,non-circulating,history} -> per-token data
+ *   GET /api/v1/tokens/:symbol/{total,circulating,max}-supply -> per-token plain-text supply
+ *   GET/POST/DELETE /api/v1/admin/webhooks -> webhook subscriptions (admin token)
+ *   GET /api/v1/admin/webhooks/deliveries -> webhook delivery log (admin token)
+ *   GET /api/v1/debug/fee-config -> raw FeeConfig bytes, decoded fields, split checks
+ *   GET /api/v1/debug/account/:address -> raw bytes + decoded layout for any account (admin token)
+ *   GET /metrics             -> Prometheus metrics
  *   GET /health              -> health check
  */
 
 import express from "express";
 import cors from "cors";
-import { Connection, PublicKey } from "@solana/web3.js";
-import fs from "fs";
+import { PublicKey } from "@solana/web3.js";
+import crypto from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
+import { withTimeout } from "./lib/util.js";
+import {
+  loadNonCirculatingRegistry,
+  fetchNonCirculatingBalances,
+  summarizeNonCirculating,
+  prefetchAddresses,
+  refreshBatchedBalances,
+} from "./lib/non-circulating.js";
+import { loadVestingSchedule, vestingStatus, projectSupply } from "./lib/vesting.js";
+import { readAccounts, mintSupplyRaw, nativeBalanceRaw, tokenBalanceRaw } from "./lib/accounts.js";
+import {
+  RANGES,
+  BUCKETS,
+  recordSnapshot,
+  parseHistoryQuery,
+  runHistoryQuery,
+  collectPoints,
+} from "./lib/history.js";
+import { createPriceAggregator, fetchDexScreenerQuotes, fetchJupiterQuote, fetchPumpFunQuote } from "./lib/price.js";
+import { PRICE_FIELDS, parseWindow, averagePrice } from "./lib/price-history.js";
+import { fetchCongestionSample, computeFeeTiers, congestionLevel } from "./lib/fee-oracle.js";
+import {
+  SUPPLY_RAW_DECIMALS,
+  scaleRaw,
+  rawToUi,
+  toRaw,
+  uiToRaw,
+  maxRaw,
+  amountWriter,
+  jsonReplacer,
+} from "./lib/amounts.js";
+import {
+  FEE_CONFIG_LAYOUTS,
+  VALIDATOR_FEE_ACCOUNT_LAYOUTS,
+  detectLayout,
+  decodeFeeConfig,
+  decodeValidatorFeeAccount,
+  validateFeeConfig,
+  validateValidatorFeeAccount,
+} from "./lib/layouts.js";
+import {
+  openStorage,
+  flushStorage,
+  querySamples,
+  firstSampleAt,
+  oldestTimestamp,
+  storageStats,
+  appendEvent,
+  readEvents,
+  streamEvents,
+  rewriteEvents,
+  readSecrets,
+  writeSecrets,
+} from "./lib/storage.js";
+import { SEVERITIES, createInvariantEngine } from "./lib/invariants.js";
+import { EPOCH_COUNTERS, createEpochTracker } from "./lib/epochs.js";
+import { createBridgeTracker } from "./lib/bridge.js";
+import { createFieldGuard } from "./lib/sanity.js";
+import { PRECISIONS, aggregatorRouter, formatSupply, sendPlainSupply } from "./lib/aggregators.js";
+import { amountColumns, column, exportFormat, streamTable } from "./lib/export.js";
+import { ATTESTATION_VERSION, attestationPayload, loadAttestationKey, signAttestation } from "./lib/attestation.js";
+import { PRIMARY_SYMBOL, TOKEN_HISTORY_FIELDS, createTokenTracker, loadTokenRegistry } from "./lib/tokens.js";
+import { BURN_CATEGORIES, BURN_KINDS, createBurnIndexer } from "./lib/burns.js";
+import { createStreamHub } from "./lib/stream.js";
+import { createRpcPool, parseRpcUrls } from "./lib/rpc-pool.js";
+import { createAccountSubscriber, wsUrlFor } from "./lib/subscriptions.js";
+import {
+  validatorRows,
+  createValidatorHistory,
+  estimateAprs,
+  parseValidatorQuery,
+  applyValidatorQuery,
+} from "./lib/validators.js";
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createMetricsRegistry, instrument } from "./lib/metrics.js";
+import { WEBHOOK_EVENTS, createWebhookDispatcher, loadWebhookSubscriptions, validateSubscription } from "./lib/webhooks.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// -- Timeout helper -----------------------------------------------------------
-
-function withTimeout(promise, ms = 10000) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), ms)),
-  ]);
-}
-
 // -- Config -------------------------------------------------------------------
 
 const PORT = parseInt(process.env.PORT || "4002", 10);
 const L1_RPC_URL = process.env.L1_RPC_URL || "https://api.mainnet-beta.solana.com";
 const L2_RPC_URL = process.env.L2_RPC_URL || "http://127.0.0.1:8899";
+// Comma-separated RPC pools; the single-URL settings above are the fallback
+const L1_RPC_URLS = parseRpcUrls(process.env.L1_RPC_URLS, L1_RPC_URL);
+const L2_RPC_URLS = parseRpcUrls(process.env.L2_RPC_URLS, L2_RPC_URL);
+// Endpoints that must agree on L1/L2 supply and FeeConfig (1 = no quorum)
+const RPC_QUORUM = parseInt(process.env.RPC_QUORUM || "1", 10);
+const RPC_QUORUM_TOLERANCE = parseFloat(process.env.RPC_QUORUM_TOLERANCE || "0.0001");
 const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || "15000", 10);
+// "poll" re-reads every account each poll; "subscribe" applies account
+// changes pushed over WebSocket and re-reads them every RECONCILE_INTERVAL_MS
+const UPDATE_MODE = process.env.UPDATE_MODE || "poll";
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS || "300000", 10);
+const L1_WS_URL = process.env.L1_WS_URL || wsUrlFor(L1_RPC_URLS[0]);
+const L2_WS_URL = process.env.L2_WS_URL || wsUrlFor(L2_RPC_URLS[0]);
+if (!["poll", "subscribe"].includes(UPDATE_MODE)) {
+  throw new Error(`UPDATE_MODE must be "poll" or "subscribe" (got ${UPDATE_MODE})`);
+}
 
 // MYTH token addresses
 const L1_MYTH_MINT = process.env.L1_MYTH_MINT || "5UP2iL9DefXC3yovX9b4XG2EiCnyxuVo3S2F6ik5pump";
@@ -63,6 +172,7 @@ const L2_MYTH_DECIMALS = 6;
 // Fixed canonical total supply: 1 billion MYTH
 const CANONICAL_TOTAL = parseInt(process.env.CANONICAL_SUPPLY || "1000000000", 10);
 const MYTH_DECIMALS = parseInt(process.env.MYTH_DECIMALS || "6", 10);
+const CANONICAL_TOTAL_RAW = BigInt(CANONICAL_TOTAL) * 10n ** BigInt(SUPPLY_RAW_DECIMALS);
 
 // Foundation wallet (non-circulating bridge reserve on L2)
 const FOUNDATION_WALLET = process.env.FOUNDATION_WALLET || "AnVqSYE3ArJX9ZCbiReFcNa2JdLyri3GGGt34j63hT9e";
@@ -72,9 +182,95 @@ const INCINERATOR_ADDRESS = "1nc1nerator11111111111111111111111111111111";
 const BRIDGE_RESERVE_PDA = "G1gb6Kuycj7FkdGWtLJ2fngqAmtJiLy89bkKUBvHZAVg";
 
 // History config
-const HISTORY_FILE = path.join(__dirname, "data", "burn_history.json");
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, "data", "store");
+const RAW_RETENTION_DAYS = parseFloat(process.env.RAW_RETENTION_DAYS || "7");
 const MAX_HISTORY_ENTRIES = 8640;
 
+// Pre-storage-engine history files, imported into STORAGE_DIR on first start
+const LEGACY_HISTORY_FILES = [
+  path.join(__dirname, "data", "burn_history.json"),
+  path.join(__dirname, "data", "supply_history.json"),
+];
+
+// Non-circulating registry (accounts excluded from circulating supply)
+const NON_CIRCULATING_CONFIG = process.env.NON_CIRCULATING_CONFIG || path.join(__dirname, "config", "non-circulating.json");
+
+// Vesting allocations and unlock schedules; projections burn at the rate
+// observed over PROJECTION_BURN_WINDOW
+const VESTING_CONFIG = process.env.VESTING_CONFIG || path.join(__dirname, "config", "vesting.json");
+const PROJECTION_BURN_WINDOW = process.env.PROJECTION_BURN_WINDOW || "30d";
+
+// Tokens tracked next to MYTH (see lib/tokens.js); each keeps one history
+// sample per TOKEN_HISTORY_INTERVAL_MS for TOKEN_HISTORY_DAYS
+const TOKENS_CONFIG = process.env.TOKENS_CONFIG || path.join(__dirname, "config", "tokens.json");
+const TOKEN_HISTORY_INTERVAL_MS = parseInt(process.env.TOKEN_HISTORY_INTERVAL_MS || "300000", 10);
+const TOKEN_HISTORY_DAYS = parseFloat(process.env.TOKEN_HISTORY_DAYS || "30");
+
+// ed25519 keypair (solana-keygen JSON) signing supply attestations;
+// attestations are disabled when the file does not exist
+const ATTESTATION_KEYPAIR = process.env.ATTESTATION_KEYPAIR || path.join(__dirname, "keys", "attestation.json");
+
+// Price aggregation
+const PRICE_MAX_AGE_MS = parseInt(process.env.PRICE_MAX_AGE_MS || "120000", 10);
+const PRICE_OUTLIER_PCT = parseFloat(process.env.PRICE_OUTLIER_PCT || "0.1");
+const PRICE_WEIGHTING = process.env.PRICE_WEIGHTING || "liquidity"; // "liquidity" | "equal"
+const PRICE_MIN_LIQUIDITY_USD = parseFloat(process.env.PRICE_MIN_LIQUIDITY_USD || "1000");
+const PRICE_MIN_CONFIDENCE = parseFloat(process.env.PRICE_MIN_CONFIDENCE || "0.3");
+
+// Fee oracle pricing: "twap" over FEE_PRICE_TWAP_WINDOW, or "spot"
+const FEE_PRICE_MODE = process.env.FEE_PRICE_MODE || "twap";
+const FEE_PRICE_TWAP_WINDOW = process.env.FEE_PRICE_TWAP_WINDOW || "1h";
+
+// Invariant thresholds (MYTH). BRIDGE_BACKING_TOTAL pins the expected
+// L1 vault lock + L2 bridge reserve; FEE_CONFIG_ADMIN pins the expected admin.
+// Unset, both are baselined from the first observation after start.
+const INVARIANT_PARITY_TOLERANCE = parseFloat(process.env.INVARIANT_PARITY_TOLERANCE || "1");
+const INVARIANT_BRIDGE_TOLERANCE = parseFloat(process.env.INVARIANT_BRIDGE_TOLERANCE || "1");
+const BRIDGE_BACKING_TOTAL = process.env.BRIDGE_BACKING_TOTAL || null;
+const FEE_CONFIG_ADMIN = process.env.FEE_CONFIG_ADMIN || null;
+
+// Sanity bounds on supply reads (see lib/sanity.js). A rejected read keeps
+// the last good value; the plain-text endpoints return 503 once the supply
+// fields behind them are older than SUPPLY_STALE_AFTER_MS.
+const SANITY_MAX_JUMP_PCT = parseFloat(process.env.SANITY_MAX_JUMP_PCT || "50");
+const SANITY_CONFIRM_MS = parseInt(process.env.SANITY_CONFIRM_MS || String(POLL_INTERVAL_MS * 4), 10);
+const SUPPLY_STALE_AFTER_MS = parseInt(process.env.SUPPLY_STALE_AFTER_MS || String(POLL_INTERVAL_MS * 3), 10);
+
+// Webhooks. Admin routes (subscription management, delivery log) require
+// `Authorization: Bearer $ADMIN_TOKEN` and are disabled when it is unset.
+const WEBHOOKS_CONFIG = process.env.WEBHOOKS_CONFIG || path.join(__dirname, "config", "webhooks.json");
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "5000", 10);
+const WEBHOOK_BURN_MILESTONE = parseInt(process.env.WEBHOOK_BURN_MILESTONE || "1000000", 10);
+const WEBHOOK_LARGE_BURN = parseFloat(process.env.WEBHOOK_LARGE_BURN || "100000");
+const WEBHOOK_FOUNDATION_MIN_CHANGE = parseFloat(process.env.WEBHOOK_FOUNDATION_MIN_CHANGE || "1");
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// SSE/WebSocket heartbeat interval
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS || "15000", 10);
+
+// Validator analytics: one stake/reward sample per validator every
+// VALIDATOR_HISTORY_INTERVAL_MS, kept VALIDATOR_HISTORY_DAYS; APRs use the
+// accrual over the last VALIDATOR_APR_WINDOW
+const VALIDATOR_HISTORY_INTERVAL_MS = parseInt(process.env.VALIDATOR_HISTORY_INTERVAL_MS || "3600000", 10);
+const VALIDATOR_HISTORY_DAYS = parseFloat(process.env.VALIDATOR_HISTORY_DAYS || "90");
+const VALIDATOR_APR_WINDOW = process.env.VALIDATOR_APR_WINDOW || "7d";
+
+// Burn ledger: the signatures of BURN_INDEX_ADDRESSES (comma-separated,
+// empty disables) are walked for burn instructions, up to
+// BURN_INDEX_PAGES_PER_POLL pages of 100 per address every
+// BURN_INDEX_INTERVAL_MS, on a timer of its own. With
+// BURN_INDEX_BACKFILL=false only burns after the first start are indexed.
+const BURN_INDEX_ADDRESSES = (process.env.BURN_INDEX_ADDRESSES ?? `${MYTH_TOKEN_PROGRAM},${L2_MYTH_MINT}`)
+  .split(",")
+  .map((a) => a.trim())
+  .filter(Boolean);
+const BURN_INDEX_PAGES_PER_POLL = parseInt(process.env.BURN_INDEX_PAGES_PER_POLL || "5", 10);
+const BURN_INDEX_BACKFILL = process.env.BURN_INDEX_BACKFILL !== "false";
+const BURN_INDEX_INTERVAL_MS = parseInt(process.env.BURN_INDEX_INTERVAL_MS || String(POLL_INTERVAL_MS), 10);
+// Newest burns kept in memory for /api/supply/burns; the reconciliation
+// still covers every burn indexed
+const BURN_LEDGER_MAX_ENTRIES = parseInt(process.env.BURN_LEDGER_MAX_ENTRIES || "100000", 10);
 
 // -- Fee oracle config --------------------------------------------------------
 
@@ -83,6 +279,7 @@ const SOLANA_FEE_USD = 0.00025; // Solana mainnet base fee for comparison
 
 let feeOracleCache = {
   mythPriceUSD: null,
+  priceMode: null,
   recommendedFeeMYTH: null,
   recommendedFeeLamports: null,
   feeUSD: TARGET_FEE_USD,
@@ -92,92 +289,40 @@ let feeOracleCache = {
 };
 const FEE_ORACLE_CACHE_MS = 60000; // 60 second cache
 
-// -- FeeConfig deserialization ------------------------------------------------
-
-function deserializeFeeConfig(data) {
-  if (!data || data.length < 235) return null;
-  const buf = Buffer.from(data);
-  let offset = 0;
-
-  const readBool = () => { const v = buf.readUInt8(offset); offset += 1; return v !== 0; };
-  const readU8 = () => { const v = buf.readUInt8(offset); offset += 1; return v; };
-  const readU16LE = () => { const v = buf.readUInt16LE(offset); offset += 2; return v; };
-  const readU64LE = () => { const v = buf.readBigUInt64LE(offset); offset += 8; return v; };
-  const readPubkey = () => { const pk = new PublicKey(buf.subarray(offset, offset + 32)); offset += 32; return pk.toBase58(); };
-  const readFeeSplit = () => ({
-    validatorBps: readU16LE(),
-    foundationBps: readU16LE(),
-    burnBps: readU16LE(),
-  });
-
-  const isInitialized = readBool();
-  if (!isInitialized) return null;
-
-  const admin = readPubkey();
-  const foundationWallet = readPubkey();
-  const burnAddress = readPubkey();
-  const mythMint = readPubkey();
-  const gasSplit = readFeeSplit();
-  const computeSplit = readFeeSplit();
-  const inferenceSplit = readFeeSplit();
-  const bridgeSplit = readFeeSplit();
-  const currentEpoch = readU64LE();
-  const totalBurned = readU64LE();
-  const totalDistributed = readU64LE();
-  const totalFoundationCollected = readU64LE();
-  const isPaused = readBool();
-  const bump = readU8();
-  const gasBurned = readU64LE();
-  const computeBurned = readU64LE();
-  const inferenceBurned = readU64LE();
-  const bridgeBurned = readU64LE();
-  const subnetBurned = readU64LE();
-  const totalFoundationBurned = readU64LE();
-
-  return {
-    isInitialized, admin, foundationWallet, burnAddress, mythMint,
-    gasSplit, computeSplit, inferenceSplit, bridgeSplit,
-    currentEpoch: Number(currentEpoch),
-    totalBurned: Number(totalBurned),
-    totalDistributed: Number(totalDistributed),
-    totalFoundationCollected: Number(totalFoundationCollected),
-    isPaused, bump,
-    gasBurned: Number(gasBurned),
-    computeBurned: Number(computeBurned),
-    inferenceBurned: Number(inferenceBurned),
-    bridgeBurned: Number(bridgeBurned),
-    subnetBurned: Number(subnetBurned),
-    totalFoundationBurned: Number(totalFoundationBurned),
-  };
-}
+// Congestion sampling for priority-fee tiers
+const L2_SLOT_TX_CAPACITY = parseInt(process.env.L2_SLOT_TX_CAPACITY || "2000", 10);
+const FEE_COMPUTE_UNITS = parseInt(process.env.FEE_COMPUTE_UNITS || "200000", 10);
+const MAX_COMPUTE_UNITS = 1400000;
 
-// -- ValidatorFeeAccount deserialization --------------------------------------
+let congestionSample = null;
 
-function deserializeValidatorFeeAccount(data) {
-  if (!data || data.length < 69) return null;
-  const buf = Buffer.from(data);
-  let offset = 0;
-  const readPubkey = () => { const pk = new PublicKey(buf.subarray(offset, offset + 32)); offset += 32; return pk.toBase58(); };
-  const readU64 = () => { const v = buf.readBigUInt64LE(offset); offset += 8; return Number(v); };
-  const readI64 = () => { const v = buf.readBigInt64LE(offset); offset += 8; return Number(v); };
-  const readBool = () => { const v = buf.readUInt8(offset); offset += 1; return v !== 0; };
-  const readU16 = () => { const v = buf.readUInt16LE(offset); offset += 2; return v; };
-  const readU8 = () => { const v = buf.readUInt8(offset); offset += 1; return v; };
+// -- State --------------------------------------------------------------------
 
-  return {
-    validator: readPubkey(),
-    stakeAmount: readU64(),
-    aiCapable: readBool(),
-    rewardMultiplier: readU16(),
-    pendingRewards: readU64(),
-    totalClaimed: readU64(),
-    registeredAt: readI64(),
-    isActive: readBool(),
-    bump: readU8(),
-  };
+const l1Pool = createRpcPool({ chain: "l1", urls: L1_RPC_URLS });
+const l2Pool = createRpcPool({ chain: "l2", urls: L2_RPC_URLS });
+for (const pool of [l1Pool, l2Pool]) {
+  if (RPC_QUORUM > pool.size) {
+    console.log(`[supply-oracle] RPC_QUORUM=${RPC_QUORUM} but ${pool.chain} has ${pool.size} endpoint(s); critical ${pool.chain} reads will fail`);
+  }
 }
 
-// -- State --------------------------------------------------------------------
+// Last account read per chain ({ slot, accounts, fields }, see readChain)
+let chainReads = { l1: null, l2: null };
+let lastFullReadAt = null;
+let reconcileDue = true;
+
+// Subscribe mode only; addresses are added at start-up
+const subscribers = UPDATE_MODE === "subscribe"
+  ? [["l1", L1_WS_URL], ["l2", L2_WS_URL]].map(([chain, url]) => createAccountSubscriber({
+    chain,
+    url,
+    onChange: (address, account, slot) => onAccountChange(chain, address, account, slot),
+    // Changes were missed while disconnected
+    onReconnect: () => {
+      reconcileDue = true;
+    },
+  }))
+  : [];
 
 let supplyData = {
   totalSupply: CANONICAL_TOTAL,
@@ -187,169 +332,312 @@ let supplyData = {
   bridgeReserve: 0,
   foundationReserve: 0,
   circulating: 0,
+  nonCirculating: 0,
   burned: 0,
   feeConfig: null,
   price: {
     usd: null, sol: null, marketCap: null, volume24h: null,
     priceChange24h: null, fdv: null, liquidity: null,
-    source: null, lastUpdate: null,
+    source: null, lastUpdate: null, stale: true, confidence: 0, spread: null,
     pumpfun: { bondingCurveComplete: null, replyCount: null, website: null },
   },
   parityCheck: "",
+  slots: { l1: null, l2: null },
+  // Exact base units at SUPPLY_RAW_DECIMALS for every supply amount above
+  raw: {
+    totalSupply: CANONICAL_TOTAL_RAW,
+    l1Supply: 0n,
+    l2Supply: 0n,
+    bridgeLocked: 0n,
+    bridgeReserve: 0n,
+    foundationReserve: 0n,
+    circulating: 0n,
+    nonCirculating: 0n,
+    burned: 0n,
+  },
   lastUpdated: new Date().toISOString(),
 };
 
-let burnHistory = [];
 let last24hBurnSnapshot = { timestamp: Date.now(), totalBurned: 0 };
 let last7dBurnSnapshot = { timestamp: Date.now(), totalBurned: 0 };
 
 let validatorCache = [];
 let rpcVoteAccountCache = [];
 let lastValidatorFetch = 0;
+let unknownProgramAccounts = [];
+let pollsCompleted = 0;
 const VALIDATOR_POLL_MS = 60000;
 
-// -- History persistence ------------------------------------------------------
-
-function loadBurnHistory() {
+// Appends to an event log from inside a poll; a disk error is logged rather
+// than thrown into the poll (like recordSnapshot)
+function persistEvent(log, event) {
   try {
-    if (fs.existsSync(HISTORY_FILE)) {
-      const raw = fs.readFileSync(HISTORY_FILE, "utf-8");
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) {
-        burnHistory = parsed.slice(-MAX_HISTORY_ENTRIES);
-        const cutoff = Date.now() - 24 * 60 * 60 * 1000;
-        const oldEntry = burnHistory.find((e) => e.timestamp >= cutoff);
-        if (oldEntry) {
-          last24hBurnSnapshot = { timestamp: oldEntry.timestamp, totalBurned: oldEntry.totalBurned };
-        }
-        console.log(`[supply-oracle] Loaded ${burnHistory.length} burn history entries`);
-      }
-    }
+    appendEvent(log, event);
   } catch (err) {
-    console.log(`[supply-oracle] Could not load burn history: ${err.message}`);
+    console.log(`[supply-oracle] Could not persist ${log} event: ${err.message}`);
   }
 }
 
-function saveBurnHistory() {
-  try {
-    const dir = path.dirname(HISTORY_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(burnHistory.slice(-MAX_HISTORY_ENTRIES)));
-  } catch (err) {
-    console.log(`[supply-oracle] Could not save burn history: ${err.message}`);
-  }
-}
+const validatorHistory = createValidatorHistory({
+  sampleIntervalMs: VALIDATOR_HISTORY_INTERVAL_MS,
+  retentionMs: VALIDATOR_HISTORY_DAYS * 24 * 60 * 60 * 1000,
+  onSample: (event) => persistEvent("validator-history", event),
+});
+
+const burnIndexer = createBurnIndexer({
+  addresses: BURN_INDEX_ADDRESSES,
+  mint: L2_MYTH_MINT,
+  feeProgram: MYTH_TOKEN_PROGRAM,
+  call: (fn) => l2Pool.call(({ connection }) => fn(connection)),
+  pagesPerRun: BURN_INDEX_PAGES_PER_POLL,
+  backfill: BURN_INDEX_BACKFILL,
+  maxEntries: BURN_LEDGER_MAX_ENTRIES,
+  onEntries: (entries) => entries.forEach((entry) => persistEvent("burns", entry)),
+  onCursors: (cursors, retry) => rewriteEvents("burn-cursors", [{ timestamp: Date.now(), cursors, retry }]),
+});
+
+const nonCirculatingRegistry = loadNonCirculatingRegistry(NON_CIRCULATING_CONFIG);
+let nonCirculatingCache = [];
+const vestingAllocations = loadVestingSchedule(VESTING_CONFIG, nonCirculatingRegistry);
+const attestationKey = loadAttestationKey(ATTESTATION_KEYPAIR);
+let lastAttestation = null;
+
+const stream = createStreamHub({ heartbeatMs: STREAM_HEARTBEAT_MS });
+
+const webhooks = createWebhookDispatcher({
+  subscriptions: loadWebhookSubscriptions(WEBHOOKS_CONFIG),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+});
+
+// Last successfully fetched values, diffed each poll for webhook events.
+// burnedAt is when burnedRaw was observed, so burn.large reports the real
+// interval in subscribe mode too.
+let previousPoll = { burnedRaw: null, burnedAt: null, feeConfig: null, foundationRaw: null };
+
+const invariantEngine = createInvariantEngine({
+  thresholds: {
+    "supply-parity": INVARIANT_PARITY_TOLERANCE,
+    "bridge-balance": INVARIANT_BRIDGE_TOLERANCE,
+  },
+  onTransition: (event) => {
+    persistEvent("invariants", event);
+    console.log(`[supply-oracle] Invariant ${event.id} ${event.type} (${event.severity}): ${event.message}`);
+    webhooks.emit(`invariant.${event.type}`, event);
+    if (event.id === "supply-parity" && event.type === "violated") webhooks.emit("supply.parity_drift", event);
+  },
+  onBaseline: (event) => persistEvent("invariants", event),
+});
+
+const bridgeTracker = createBridgeTracker({
+  expectedBackingRaw: BRIDGE_BACKING_TOTAL === null
+    ? null
+    : BigInt(BRIDGE_BACKING_TOTAL) * 10n ** BigInt(SUPPLY_RAW_DECIMALS),
+  onEvent: (event) => persistEvent("bridge-flows", event),
+});
+
+const epochTracker = createEpochTracker({
+  onEvent: (event) => persistEvent("epochs", event),
+});
+
+// -- Metrics ------------------------------------------------------------------
+
+const metrics = createMetricsRegistry({ prefix: "myth_" });
+const fetchMetrics = {
+  duration: metrics.histogram("fetch_duration_seconds", "Latency of each upstream fetcher"),
+  total: metrics.counter("fetch_total", "Upstream fetcher calls by result (success/failure)"),
+};
+const pollDuration = metrics.histogram("poll_duration_seconds", "Duration of a full supply poll cycle");
+const pollsTotal = metrics.counter("polls_total", "Completed supply polls by result (ok/warnings)");
+const accountNotifications = metrics.counter("account_notifications_total", "Account change notifications applied in subscribe mode");
+const readsRejected = metrics.counter("supply_reads_rejected_total", "Supply field reads not published, by field and reason");
+
+const supplyGauge = (name, field, help) => metrics.gauge(name, help, () => (pollsCompleted > 0 ? supplyData[field] : null));
+supplyGauge("supply_total_tokens", "totalSupply", "Total supply (l1 + l2) in MYTH");
+supplyGauge("supply_l1_tokens", "l1Supply", "L1 token supply in MYTH");
+supplyGauge("supply_l2_tokens", "l2Supply", "L2 supply in MYTH");
+supplyGauge("supply_circulating_tokens", "circulating", "Circulating supply in MYTH");
+supplyGauge("supply_non_circulating_tokens", "nonCirculating", "Excluded non-circulating balances in MYTH");
+supplyGauge("supply_burned_tokens", "burned", "Total MYTH burned per FeeConfig");
+supplyGauge("foundation_reserve_tokens", "foundationReserve", "Foundation wallet balance in MYTH");
+supplyGauge("bridge_locked_tokens", "bridgeLocked", "MYTH locked in the L1 bridge vault");
+supplyGauge("bridge_reserve_tokens", "bridgeReserve", "MYTH held by the L2 bridge reserve");
+metrics.gauge("bridge_backing_mismatch_tokens", "Bridge locked + reserve minus the expected backing, in MYTH", () => {
+  const expected = bridgeTracker.expectedBacking();
+  if (pollsCompleted === 0 || !expected) return null;
+  return rawToUi(supplyData.raw.bridgeLocked + supplyData.raw.bridgeReserve - expected.raw, SUPPLY_RAW_DECIMALS);
+});
+metrics.gauge("supply_parity_drift_tokens", "l1 + l2 minus canonical supply, in MYTH", () => (
+  pollsCompleted > 0 ? rawToUi(supplyData.raw.totalSupply - CANONICAL_TOTAL_RAW, SUPPLY_RAW_DECIMALS) : null
+));
+metrics.gauge("fee_burned_tokens", "MYTH burned per fee category per FeeConfig", () => {
+  const fc = supplyData.feeConfig;
+  if (!fc) return [];
+  return ["gas", "compute", "inference", "bridge", "subnet", "totalFoundation"].map((category) => ({
+    labels: { category: category === "totalFoundation" ? "foundation" : category },
+    value: rawToUi(fc[`${category}Burned`], L2_MYTH_DECIMALS),
+  }));
+});
+metrics.gauge("fee_config_paused", "1 when FeeConfig isPaused is set", () => (
+  supplyData.feeConfig ? Number(supplyData.feeConfig.isPaused) : null
+));
+
+metrics.gauge("price_usd", "Aggregated MYTH price in USD", () => supplyData.price.usd);
+metrics.gauge("price_confidence", "Price aggregate confidence (0..1)", () => supplyData.price.confidence);
+metrics.gauge("price_spread_ratio", "Spread of fresh price quotes relative to their median", () => supplyData.price.spread);
+metrics.gauge("price_stale", "1 when no fresh price quote is available", () => Number(supplyData.price.stale));
+metrics.gauge("market_cap_usd", "Market cap in USD", () => supplyData.price.marketCap);
+metrics.gauge("volume_24h_usd", "24h trading volume in USD", () => supplyData.price.volume24h);
+metrics.gauge("liquidity_usd", "Liquidity of accepted price pools in USD", () => supplyData.price.liquidity);
+
+metrics.gauge("fee_oracle_price_usd", "MYTH price used by the fee oracle", () => feeOracleView()?.mythPriceUSD ?? null);
+metrics.gauge("fee_oracle_base_fee_lamports", "Recommended base fee in L2 mint base units", () => (
+  feeOracleView()?.baseFeeLamports ?? null
+));
+metrics.gauge("fee_oracle_priority_fee_micro_lamports", "Priority fee per compute unit by tier", () => (
+  Object.entries(feeOracleView()?.tiers ?? {}).map(([tier, t]) => ({ labels: { tier }, value: t.priorityFeeMicroLamports }))
+));
+metrics.gauge("fee_oracle_total_fee_base_units", "Total fee for FEE_COMPUTE_UNITS by tier in L2 mint base units", () => (
+  Object.entries(feeOracleView()?.tiers ?? {}).map(([tier, t]) => ({ labels: { tier }, value: t.totalFeeBaseUnits }))
+));
+metrics.gauge("l2_slot_utilization_ratio", "Non-vote transactions per slot / L2_SLOT_TX_CAPACITY", () => (
+  congestionSample?.utilization ?? null
+));
+
+metrics.gauge("validators", "Validators by source and state", () => [
+  { labels: { source: "myth-token", state: "active" }, value: validatorCache.filter((v) => v.isActive).length },
+  { labels: { source: "myth-token", state: "inactive" }, value: validatorCache.filter((v) => !v.isActive).length },
+  { labels: { source: "rpc", state: "active" }, value: rpcVoteAccountCache.filter((v) => !v.isDelinquent).length },
+  { labels: { source: "rpc", state: "delinquent" }, value: rpcVoteAccountCache.filter((v) => v.isDelinquent).length },
+]);
+metrics.gauge("program_accounts_unknown", "MYTH program accounts matching no known layout", () => unknownProgramAccounts.length);
+metrics.gauge("invariant_violated", "1 while a supply invariant is violated", () => (
+  invariantEngine.current().map((inv) => ({
+    labels: { invariant: inv.id, severity: inv.severity },
+    value: inv.status === "unknown" ? null : Number(inv.status === "violated"),
+  }))
+));
+metrics.gauge("supply_field_stale", "1 while a supply field serves a value older than SUPPLY_STALE_AFTER_MS", () => (
+  Object.entries(supplyGuard.status()).map(([field, { stale }]) => ({ labels: { field }, value: Number(stale) }))
+));
+metrics.gauge("supply_read_slot", "Slot the last supply batch was read at, by chain", () => (
+  Object.entries(supplyData.slots).map(([chain, slot]) => ({ labels: { chain }, value: slot }))
+));
+metrics.gauge("last_poll_timestamp_seconds", "Unix time of the last completed poll", () => (
+  pollsCompleted > 0 ? new Date(supplyData.lastUpdated).getTime() / 1000 : null
+));
+const rpcEndpointGauge = (name, help, value) => metrics.gauge(name, help, () => (
+  [l1Pool, l2Pool].flatMap((pool) => pool.status().endpoints.map((e) => ({
+    labels: { chain: pool.chain, endpoint: e.url },
+    value: value(e),
+  })))
+));
+rpcEndpointGauge("rpc_endpoint_score", "RPC endpoint health score (lower is better)", (e) => e.score);
+rpcEndpointGauge("rpc_endpoint_healthy", "1 unless the RPC endpoint is cooling down after failures", (e) => Number(e.healthy));
+rpcEndpointGauge("rpc_endpoint_slot_lag", "Slots behind the most advanced endpoint of the chain", (e) => e.slotLag);
+metrics.gauge("stream_clients", "Connected SSE and WebSocket clients", () => stream.stats().clients);
+
+const timed = (fetcher, fn, isFailure) => instrument(fetcher, fn, fetchMetrics, isFailure);
 
 // -- Price Fetching -----------------------------------------------------------
 
-async function fetchDexScreenerPrice() {
-  try {
-    const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${L1_MYTH_MINT}`);
-    if (!res.ok) return null;
-    const data = await res.json();
-    if (!data.pairs || data.pairs.length === 0) return null;
-    const pair = data.pairs.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
-    return {
-      usd: parseFloat(pair.priceUsd) || null,
-      sol: parseFloat(pair.priceNative) || null,
-      marketCap: pair.marketCap || null,
-      volume24h: pair.volume?.h24 || null,
-      priceChange24h: pair.priceChange?.h24 || null,
-      fdv: pair.fdv || null,
-      liquidity: pair.liquidity?.usd || null,
-      source: "dexscreener",
-      pairAddress: pair.pairAddress,
-      dexId: pair.dexId,
-    };
-  } catch { return null; }
-}
-
-async function fetchJupiterPrice() {
-  try {
-    const res = await fetch(`https://api.jup.ag/price/v2?ids=${L1_MYTH_MINT}`);
-    if (!res.ok) return null;
-    const data = await res.json();
-    const tokenData = data.data?.[L1_MYTH_MINT];
-    if (!tokenData) return null;
-    return { usd: parseFloat(tokenData.price) || null, sol: null, marketCap: null, volume24h: null, priceChange24h: null, fdv: null, liquidity: null, source: "jupiter" };
-  } catch { return null; }
-}
+const priceAggregator = createPriceAggregator({
+  sources: [
+    {
+      name: "dexscreener",
+      fetch: () => timed("fetchDexScreenerQuotes", () => fetchDexScreenerQuotes(L1_MYTH_MINT, { minLiquidityUsd: PRICE_MIN_LIQUIDITY_USD })),
+    },
+    { name: "jupiter", fetch: () => timed("fetchJupiterQuote", () => fetchJupiterQuote(L1_MYTH_MINT)) },
+    { name: "pumpfun", fetch: () => timed("fetchPumpFunQuote", () => fetchPumpFunQuote(L1_MYTH_MINT, CANONICAL_TOTAL)) },
+  ],
+  maxAgeMs: PRICE_MAX_AGE_MS,
+  outlierPct: PRICE_OUTLIER_PCT,
+  weighting: PRICE_WEIGHTING,
+  onEvent: (event) => {
+    if (event.type === "failover") webhooks.emit("price.failover", event);
+  },
+});
 
-async function fetchPumpFunData() {
-  try {
-    const res = await fetch(`https://frontend-api.pump.fun/coins/${L1_MYTH_MINT}`);
-    if (!res.ok) return null;
-    const data = await res.json();
-    return {
-      usd: data.usd_market_cap ? data.usd_market_cap / CANONICAL_TOTAL : null,
-      marketCap: data.usd_market_cap || null,
-      bondingCurveComplete: data.complete || null,
-      replyCount: data.reply_count || null,
-      website: data.website || null,
-      source: "pumpfun",
-    };
-  } catch { return null; }
+// Additional tokens, priced from their own sources
+function tokenPriceSources({ price, canonicalRaw, decimals }) {
+  const fetchers = {
+    dexscreener: () => timed("fetchDexScreenerQuotes", () => fetchDexScreenerQuotes(price.mint, { minLiquidityUsd: PRICE_MIN_LIQUIDITY_USD })),
+    jupiter: () => timed("fetchJupiterQuote", () => fetchJupiterQuote(price.mint)),
+    pumpfun: () => timed("fetchPumpFunQuote", () => fetchPumpFunQuote(price.mint, rawToUi(canonicalRaw, decimals))),
+  };
+  return price.sources.map((name) => ({ name, fetch: fetchers[name] }));
 }
 
-async function updatePrice() {
-  const [dexData, jupData, pumpData] = await Promise.all([
-    fetchDexScreenerPrice(),
-    fetchJupiterPrice(),
-    fetchPumpFunData(),
-  ]);
+const tokenTrackers = new Map(loadTokenRegistry(TOKENS_CONFIG).map((token) => [token.symbol, createTokenTracker(token, {
+  l1Pool,
+  l2Pool,
+  priceAggregator: createPriceAggregator({
+    sources: tokenPriceSources(token),
+    maxAgeMs: PRICE_MAX_AGE_MS,
+    outlierPct: PRICE_OUTLIER_PCT,
+    weighting: PRICE_WEIGHTING,
+  }),
+  maxJumpPct: SANITY_MAX_JUMP_PCT,
+  confirmMs: SANITY_CONFIRM_MS,
+  staleAfterMs: SUPPLY_STALE_AFTER_MS,
+  sampleIntervalMs: TOKEN_HISTORY_INTERVAL_MS,
+  retentionMs: TOKEN_HISTORY_DAYS * 24 * 60 * 60 * 1000,
+  onSample: (event) => persistEvent(`token-${token.symbol}`, event),
+})]));
 
-  const primary = dexData || jupData;
-  if (primary) {
-    supplyData.price = {
-      usd: primary.usd,
-      sol: primary.sol || (dexData?.sol ?? null),
-      marketCap: primary.marketCap || (pumpData?.marketCap ?? null),
-      volume24h: primary.volume24h || null,
-      priceChange24h: primary.priceChange24h || null,
-      fdv: primary.fdv || (primary.usd ? primary.usd * CANONICAL_TOTAL : null),
-      liquidity: primary.liquidity || null,
-      source: primary.source,
-      lastUpdate: new Date().toISOString(),
-      pumpfun: {
-        bondingCurveComplete: pumpData?.bondingCurveComplete ?? null,
-        replyCount: pumpData?.replyCount ?? null,
-        website: pumpData?.website ?? null,
-      },
-    };
-  } else if (pumpData?.usd) {
-    supplyData.price = {
-      ...supplyData.price,
-      usd: pumpData.usd,
-      marketCap: pumpData.marketCap,
-      fdv: pumpData.usd * CANONICAL_TOTAL,
-      source: "pumpfun",
-      lastUpdate: new Date().toISOString(),
-      pumpfun: { bondingCurveComplete: pumpData.bondingCurveComplete, replyCount: pumpData.replyCount, website: pumpData.website },
-    };
-  }
+async function updatePrice() {
+  const agg = await priceAggregator.update();
+  if (agg.usd === null) return;
+
+  // Market metadata comes from the deepest accepted DexScreener pair
+  const accepted = agg.quotes.filter((q) => q.status === "accepted");
+  const dex = accepted.filter((q) => q.source === "dexscreener").sort((a, b) => (b.liquidity || 0) - (a.liquidity || 0))[0];
+  const pump = agg.quotes.find((q) => q.source === "pumpfun");
+
+  supplyData.price = {
+    usd: agg.usd,
+    sol: dex?.sol ?? null,
+    marketCap: dex?.marketCap || pump?.marketCap || null,
+    volume24h: dex?.volume24h || null,
+    priceChange24h: dex?.priceChange24h || null,
+    fdv: dex?.fdv || agg.usd * CANONICAL_TOTAL,
+    liquidity: accepted.reduce((s, q) => s + (q.liquidity || 0), 0) || null,
+    source: agg.primary?.source ?? supplyData.price.source,
+    lastUpdate: agg.stale ? supplyData.price.lastUpdate : new Date().toISOString(),
+    stale: agg.stale,
+    confidence: agg.confidence,
+    spread: agg.spread,
+    pumpfun: pump?.pumpfun ?? supplyData.price.pumpfun,
+  };
 }
 
 // -- Supply Polling -----------------------------------------------------------
 
-async function fetchL2Supply() {
-  try {
-    const conn = new Connection(L2_RPC_URL, "confirmed");
-    const mintPubkey = new PublicKey(L2_MYTH_MINT);
-    const supplyResp = await withTimeout(conn.getTokenSupply(mintPubkey), 8000);
-    if (supplyResp && supplyResp.value) {
-      return { supply: parseFloat(supplyResp.value.uiAmountString), error: null };
-    }
-    return { supply: 0, error: "Could not fetch L2 MYTH token supply" };
-  } catch (err) {
-    return { supply: supplyData.l2Supply || 0, error: err.message };
-  }
+// Quorum agreement for amounts that can move between the slots two nodes
+// read at: equal within RPC_QUORUM_TOLERANCE (relative)
+function rawAgree(a, b) {
+  const diff = a > b ? a - b : b - a;
+  const max = a > b ? a : b;
+  return diff * 1000000n <= max * BigInt(Math.round(RPC_QUORUM_TOLERANCE * 1e6));
+}
+
+// FeeConfig answers agree when every field matches, except u64 counters,
+// which only need to agree within tolerance
+function feeConfigsAgree(a, b) {
+  if (!a || !b) return a === b;
+  return Object.keys(a).every((key) => (typeof a[key] === "bigint"
+    ? rawAgree(a[key], b[key])
+    : JSON.stringify(a[key]) === JSON.stringify(b[key])));
 }
 
+// Critical reads go through quorum when RPC_QUORUM > 1
+function criticalRead(pool, fn, equals) {
+  return RPC_QUORUM > 1 ? pool.quorum(fn, { size: RPC_QUORUM, equals }) : pool.call(fn);
+}
 
 async function fetchRpcVoteAccounts() {
   try {
-    const conn = new Connection(L2_RPC_URL, "confirmed");
-    const resp = await withTimeout(conn.getVoteAccounts(), 10000);
+    const resp = await l2Pool.call(({ connection }) => withTimeout(connection.getVoteAccounts(), 10000));
     const all = [...(resp.current || []), ...(resp.delinquent || [])];
     return all.map((v) => ({
       nodePubkey: v.nodePubkey,
@@ -365,96 +653,142 @@ async function fetchRpcVoteAccounts() {
   }
 }
 
-async function fetchFoundationBalance() {
-  try {
-    const conn = new Connection(L2_RPC_URL, "confirmed");
-    const balance = await withTimeout(conn.getBalance(new PublicKey(FOUNDATION_WALLET)), 8000);
-    return { balance: balance / 1e9, error: null };
-  } catch (err) {
-    return { balance: supplyData.foundationReserve || 0, error: err.message };
-  }
+function feeConfigAddress() {
+  const [configPda] = PublicKey.findProgramAddressSync(
+    [Buffer.from("fee_config")],
+    new PublicKey(MYTH_TOKEN_PROGRAM),
+  );
+  return configPda;
 }
 
-async function fetchBridgeReserveBalance() {
-  try {
-    const conn = new Connection(L2_RPC_URL, "confirmed");
-    const balance = await withTimeout(conn.getBalance(new PublicKey(BRIDGE_RESERVE_PDA)), 8000);
-    return { balance: balance / 1e9, error: null };
-  } catch (err) {
-    return { balance: supplyData.bridgeReserve || 0, error: err.message };
-  }
+function bridgeVaultAddress() {
+  const [vaultPda] = PublicKey.findProgramAddressSync(
+    [Buffer.from("vault"), new PublicKey(L1_MYTH_MINT).toBuffer()],
+    new PublicKey(L1_BRIDGE_PROGRAM),
+  );
+  return vaultPda;
 }
 
-async function fetchBridgeLocked() {
-  try {
-    const conn = new Connection(L1_RPC_URL, "confirmed");
-    const bridgePubkey = new PublicKey(L1_BRIDGE_PROGRAM);
-    const mintPubkey = new PublicKey(L1_MYTH_MINT);
-    const [vaultPda] = PublicKey.findProgramAddressSync(
-      [Buffer.from("vault"), mintPubkey.toBuffer()],
-      bridgePubkey,
-    );
-    const vaultInfo = await withTimeout(conn.getParsedAccountInfo(vaultPda), 8000);
-    if (vaultInfo.value && "parsed" in vaultInfo.value.data) {
-      const amount = parseFloat(vaultInfo.value.data.parsed.info.tokenAmount.uiAmountString);
-      return { locked: amount, error: null };
-    }
-    return { locked: 0, error: null };
-  } catch (err) {
-    return { locked: 0, error: err.message };
-  }
+const FEE_CONFIG_PDA = feeConfigAddress().toBase58();
+const L1_BRIDGE_VAULT = bridgeVaultAddress().toBase58();
+
+// Every account a poll reads from each chain, fetched in one batch; the
+// registry's native and token-account entries ride along
+const L2_BATCH = [...new Set([
+  L2_MYTH_MINT, FOUNDATION_WALLET, BRIDGE_RESERVE_PDA, FEE_CONFIG_PDA,
+  ...prefetchAddresses(nonCirculatingRegistry, "l2"),
+])];
+const L1_BATCH = [...new Set([L1_MYTH_MINT, L1_BRIDGE_VAULT, ...prefetchAddresses(nonCirculatingRegistry, "l1")])];
+
+function decodeFeeConfigAccount(account) {
+  if (!account) throw new Error("FeeConfig PDA not found");
+  const config = decodeFeeConfig(account.data);
+  if (!config) throw new Error("FeeConfig not initialized");
+  return config;
 }
 
-async function fetchFeeConfig() {
-  try {
-    const conn = new Connection(L2_RPC_URL, "confirmed");
-    const programId = new PublicKey(MYTH_TOKEN_PROGRAM);
-    const [configPda] = PublicKey.findProgramAddressSync(
-      [Buffer.from("fee_config")],
-      programId,
-    );
-    const accountInfo = await withTimeout(conn.getAccountInfo(configPda), 8000);
-    if (!accountInfo || !accountInfo.data) {
-      return { config: null, error: "FeeConfig PDA not found" };
-    }
-    const config = deserializeFeeConfig(accountInfo.data);
-    if (!config) {
-      return { config: null, error: "FeeConfig not initialized" };
+// Supply fields decoded from each chain's batch, with the accounts each one
+// reads (an account notification re-decodes only the fields reading it)
+const L2_FIELDS = {
+  l2Supply: { accounts: [L2_MYTH_MINT], decode: (accounts) => mintSupplyRaw(accounts, L2_MYTH_MINT) },
+  foundationReserve: { accounts: [FOUNDATION_WALLET], decode: (accounts) => nativeBalanceRaw(accounts, FOUNDATION_WALLET) },
+  bridgeReserve: { accounts: [BRIDGE_RESERVE_PDA], decode: (accounts) => nativeBalanceRaw(accounts, BRIDGE_RESERVE_PDA) },
+  feeConfig: { accounts: [FEE_CONFIG_PDA], decode: (accounts) => decodeFeeConfigAccount(accounts.get(FEE_CONFIG_PDA)) },
+};
+
+const L1_FIELDS = {
+  l1Supply: { accounts: [L1_MYTH_MINT], decode: (accounts) => mintSupplyRaw(accounts, L1_MYTH_MINT) },
+  bridgeLocked: {
+    accounts: [L1_BRIDGE_VAULT, L1_MYTH_MINT],
+    decode: (accounts) => tokenBalanceRaw(accounts, L1_BRIDGE_VAULT, L1_MYTH_MINT),
+  },
+};
+
+// Last-known-good guard over the published amount fields (feeConfig is
+// checked by the invariants instead)
+const GUARDED_FIELDS = ["l1Supply", "l2Supply", "bridgeLocked", "bridgeReserve", "foundationReserve"];
+const supplyGuard = createFieldGuard({
+  fields: Object.fromEntries(GUARDED_FIELDS.map((field) => {
+    const chain = field in L1_FIELDS ? "l1" : "l2";
+    const { accounts } = (chain === "l1" ? L1_FIELDS : L2_FIELDS)[field];
+    return [field, { source: `${chain}:${accounts[0]}`, nonZero: field.endsWith("Supply"), inTotal: field.endsWith("Supply") }];
+  })),
+  maxJumpPct: SANITY_MAX_JUMP_PCT,
+  maxRaw: CANONICAL_TOTAL_RAW,
+  maxTotalRaw: CANONICAL_TOTAL_RAW + toRaw(INVARIANT_PARITY_TOLERANCE * 10 ** SUPPLY_RAW_DECIMALS),
+  confirmMs: SANITY_CONFIRM_MS,
+  staleAfterMs: SUPPLY_STALE_AFTER_MS,
+  onReject: (field, { reason }) => readsRejected.inc({ field, reason }),
+});
+
+// Supply fields behind the plain-text endpoints
+const PLAIN_TEXT_FIELDS = ["l1Supply", "l2Supply"];
+
+// Per-field decoding: a field that fails carries its error while the rest
+// of the batch is still used
+function decodeFields(fields, accounts) {
+  return Object.fromEntries(Object.entries(fields).map(([field, { decode }]) => {
+    try {
+      return [field, { value: decode(accounts), error: null }];
+    } catch (err) {
+      return [field, { value: null, error: err.message }];
     }
-    return { config, error: null };
-  } catch (err) {
-    return { config: null, error: err.message };
-  }
+  }));
+}
+
+// Batches agree when every field decoded the same way (see rawAgree and
+// feeConfigsAgree); the slot itself may differ between nodes
+function batchesAgree(a, b) {
+  return Object.keys(a.fields).every((field) => {
+    const x = a.fields[field];
+    const y = b.fields[field];
+    if (x.error || y.error) return x.error === y.error;
+    return typeof x.value === "bigint" ? rawAgree(x.value, y.value) : feeConfigsAgree(x.value, y.value);
+  });
 }
 
-async function fetchL1TokenSupply() {
+// One getMultipleAccounts round trip per chain, decoded per endpoint so
+// quorum compares values rather than bytes. On failure every field carries
+// the error and accounts/slot are null.
+async function readChain(pool, addresses, fields) {
   try {
-    const conn = new Connection(L1_RPC_URL, "confirmed");
-    const mintPubkey = new PublicKey(L1_MYTH_MINT);
-    const supplyResp = await withTimeout(conn.getTokenSupply(mintPubkey), 8000);
-    if (supplyResp && supplyResp.value) {
-      return { supply: parseFloat(supplyResp.value.uiAmountString), error: null };
-    }
-    return { supply: 0, error: "Could not fetch L1 token supply" };
+    return await criticalRead(pool, async ({ url }) => {
+      const { slot, accounts } = await readAccounts(url, addresses);
+      return { slot, accounts, fields: decodeFields(fields, accounts) };
+    }, batchesAgree);
   } catch (err) {
-    return { supply: 0, error: err.message };
+    const failed = Object.fromEntries(Object.keys(fields).map((field) => [field, { value: null, error: err.message }]));
+    return { slot: null, accounts: null, fields: failed, error: err.message };
   }
 }
 
-async function fetchValidators() {
+// Program-account filter matching one ValidatorFeeAccount layout
+function layoutFilter(layout) {
+  if (layout.discriminator) return { memcmp: { offset: 0, bytes: Buffer.from(layout.discriminator).toString("base64"), encoding: "base64" } };
+  return { dataSize: layout.size };
+}
+
+// Fetches each known ValidatorFeeAccount layout with its own filter, then
+// lists every program account without data (dataSlice of 0 bytes) so an
+// account written with a new layout is reported rather than silently dropped.
+async function fetchValidators(minContextSlot) {
   try {
-    const conn = new Connection(L2_RPC_URL, "confirmed");
     const programId = new PublicKey(MYTH_TOKEN_PROGRAM);
-    const accounts = await withTimeout(
-      conn.getProgramAccounts(programId, {
-        filters: [{ dataSize: 69 }],
-      }),
-      10000,
-    );
+    const getAccounts = (config) => l2Pool.call(({ connection }) => withTimeout(connection.getProgramAccounts(programId, { minContextSlot, ...config }), 10000));
     const validators = [];
-    for (const { pubkey, account } of accounts) {
-      const vfa = deserializeValidatorFeeAccount(account.data);
-      if (vfa) validators.push({ address: pubkey.toBase58(), ...vfa });
+    const known = new Set([feeConfigAddress().toBase58()]);
+    for (const layout of VALIDATOR_FEE_ACCOUNT_LAYOUTS) {
+      for (const { pubkey, account } of await getAccounts({ filters: [layoutFilter(layout)] })) {
+        const address = pubkey.toBase58();
+        if (known.has(address) || detectLayout(VALIDATOR_FEE_ACCOUNT_LAYOUTS, account.data) !== layout) continue;
+        known.add(address);
+        validators.push({ address, ...decodeValidatorFeeAccount(account.data) });
+      }
+    }
+    const all = await getAccounts({ dataSlice: { offset: 0, length: 0 } });
+    unknownProgramAccounts = all.map(({ pubkey }) => pubkey.toBase58()).filter((address) => !known.has(address));
+    if (unknownProgramAccounts.length > 0) {
+      console.log(`[supply-oracle] ${unknownProgramAccounts.length} program accounts with unknown layout (e.g. ${unknownProgramAccounts[0]})`);
     }
     return validators;
   } catch (err) {
@@ -463,106 +797,344 @@ async function fetchValidators() {
   }
 }
 
-async function updateSupplyData() {
-  const [l2Result, foundationResult, bridgeResult, feeConfigResult, l1TokenResult, bridgeReserveResult] = await Promise.all([
-    fetchL2Supply(),
-    fetchFoundationBalance(),
-    fetchBridgeLocked(),
-    fetchFeeConfig(),
-    fetchL1TokenSupply(),
-    fetchBridgeReserveBalance(),
-  ]);
+// Diff this poll against the last successfully fetched values and notify
+// webhook subscribers. Inputs are null when their fetch failed this poll.
+function emitSupplyEvents({ burnedRaw, feeConfig, foundationRaw }, now = Date.now()) {
+  const prev = previousPoll;
+  const amount = (name, raw) => ({ [name]: rawToUi(raw, SUPPLY_RAW_DECIMALS), [`${name}Raw`]: raw.toString() });
+
+  if (burnedRaw !== null && prev.burnedRaw !== null && burnedRaw > prev.burnedRaw) {
+    const deltaRaw = burnedRaw - prev.burnedRaw;
+    const stepRaw = BigInt(WEBHOOK_BURN_MILESTONE) * 10n ** BigInt(SUPPLY_RAW_DECIMALS);
+    if (stepRaw > 0n && burnedRaw / stepRaw > prev.burnedRaw / stepRaw) {
+      webhooks.emit("burn.milestone", {
+        ...amount("milestone", (burnedRaw / stepRaw) * stepRaw),
+        ...amount("totalBurned", burnedRaw),
+      });
+    }
+    if (rawToUi(deltaRaw, SUPPLY_RAW_DECIMALS) >= WEBHOOK_LARGE_BURN) {
+      webhooks.emit("burn.large", {
+        ...amount("burned", deltaRaw),
+        ...amount("totalBurned", burnedRaw),
+        intervalMs: now - prev.burnedAt,
+      });
+    }
+  }
+
+  if (feeConfig && prev.feeConfig && feeConfig.isPaused !== prev.feeConfig.isPaused) {
+    webhooks.emit(feeConfig.isPaused ? "fee_config.paused" : "fee_config.unpaused", {
+      isPaused: feeConfig.isPaused,
+      admin: feeConfig.admin,
+      currentEpoch: feeConfig.currentEpoch,
+    });
+  }
+
+  if (foundationRaw !== null && prev.foundationRaw !== null && foundationRaw !== prev.foundationRaw) {
+    const deltaRaw = foundationRaw - prev.foundationRaw;
+    if (Math.abs(rawToUi(deltaRaw, SUPPLY_RAW_DECIMALS)) >= WEBHOOK_FOUNDATION_MIN_CHANGE) {
+      webhooks.emit("foundation.balance_changed", {
+        wallet: FOUNDATION_WALLET,
+        ...amount("balance", foundationRaw),
+        ...amount("previousBalance", prev.foundationRaw),
+        ...amount("change", deltaRaw),
+      });
+    }
+  }
+
+  previousPoll = {
+    burnedRaw: burnedRaw ?? prev.burnedRaw,
+    burnedAt: burnedRaw === null ? prev.burnedAt : now,
+    feeConfig: feeConfig ?? prev.feeConfig,
+    foundationRaw: foundationRaw ?? prev.foundationRaw,
+  };
+}
+
+function burnedRawFrom(feeConfigField) {
+  return feeConfigField.value
+    ? scaleRaw(feeConfigField.value.totalBurned, L2_MYTH_DECIMALS, SUPPLY_RAW_DECIMALS)
+    : supplyData.raw.burned;
+}
+
+// Derives every supply figure from chainReads, evaluates the invariants and
+// sends webhooks. Synchronous, so an account notification can apply a single
+// change between polls. Returns the per-field read errors.
+function applySupply() {
+  const { l1: l1Batch, l2: l2Batch } = chainReads;
+  // A failed batch keeps the last values, so it keeps their slot too
+  const slots = { l1: l1Batch.slot ?? supplyData.slots.l1, l2: l2Batch.slot ?? supplyData.slots.l2 };
+
+  // A field that failed or was rejected keeps its last good value and
+  // reports why (0 until the first good read)
+  const guarded = supplyGuard.apply(
+    Object.fromEntries(GUARDED_FIELDS.map((field) => [field, l1Batch.fields[field] ?? l2Batch.fields[field]])),
+    Object.fromEntries(GUARDED_FIELDS.map((field) => [field, field in L1_FIELDS ? l1Batch.slot : l2Batch.slot])),
+  );
+  const amountResult = ({ raw, error }) => ({ raw: raw ?? 0n, error });
+  const l2Result = amountResult(guarded.l2Supply);
+  const foundationResult = amountResult(guarded.foundationReserve);
+  const bridgeReserveResult = amountResult(guarded.bridgeReserve);
+  const l1TokenResult = amountResult(guarded.l1Supply);
+  const bridgeResult = amountResult(guarded.bridgeLocked);
+  const feeConfigResult = { config: l2Batch.fields.feeConfig.value, error: l2Batch.fields.feeConfig.error };
+
+  // All supply math is done on BigInt base units at SUPPLY_RAW_DECIMALS;
+  // UI numbers are derived at the end.
+  const toUi = (raw) => rawToUi(raw, SUPPLY_RAW_DECIMALS);
 
-  const l2Supply = l2Result.supply;
   // L1 supply = PumpFun token supply (real on-chain)
   // L2 supply = L2 MYTH mint supply (real on-chain, post-burn)
-  const l1Supply = l1TokenResult.supply || 0;
-  const totalSupply = l1Supply + l2Supply;
-  const bridgeLocked = bridgeResult.locked;
-  const bridgeReserveBalance = bridgeReserveResult.balance;
-  const foundationBalance = foundationResult.balance;
+  const l2Raw = l2Result.raw;
+  const l1Raw = l1TokenResult.raw;
+  const totalRaw = l1Raw + l2Raw;
+  const l2Supply = toUi(l2Raw);
+  const l1Supply = toUi(l1Raw);
+  const totalSupply = toUi(totalRaw);
 
   // Burn stats from on-chain FeeConfig
   let totalBurnedMYTH = 0;
+  let burnedRaw = supplyData.raw.burned;
   let feeConfig = supplyData.feeConfig;
   if (feeConfigResult.config) {
     feeConfig = feeConfigResult.config;
-    totalBurnedMYTH = feeConfig.totalBurned / 1e6;
+    const closedEpoch = epochTracker.observe(feeConfig);
+    if (closedEpoch) {
+      console.log(`[supply-oracle] Epoch ${closedEpoch.epoch} closed (next: ${closedEpoch.nextEpoch})`);
+      webhooks.emit("epoch.closed", epochJson(amountWriter({ query: {} }), epochTracker.get(closedEpoch.epoch)));
+    }
+    burnedRaw = scaleRaw(feeConfig.totalBurned, L2_MYTH_DECIMALS, SUPPLY_RAW_DECIMALS);
+    totalBurnedMYTH = toUi(burnedRaw);
     // Incinerator address is not a valid ed25519 point, so getBalance returns 0.
     // Hardcode the known burn amount sent to 1nc1nerator11111111111111111111111111111111.
     const INCINERATOR_BURNED_MYTH = 0; // hidden per admin request // genesis supply burn to incinerator // genesis supply adjustment - not shown as burn
     totalBurnedMYTH += INCINERATOR_BURNED_MYTH;
   }
 
-  // Circulating = totalSupply - foundation reserve - bridge locked - burned
-  // Circulating = L1 token supply (PumpFun minted). No inflation, no lockups.
-  // Foundation tokens are in circulation too — they were bought/received on the open market.
-  const circulating = l1Supply;
+  // Circulating = totalSupply - every registry balance flagged as excluded.
+  // Balances read from the batches follow them; token-owner balances come
+  // from the last full read.
+  nonCirculatingCache = refreshBatchedBalances(nonCirculatingCache, {
+    l1Mint: L1_MYTH_MINT,
+    l2Mint: L2_MYTH_MINT,
+    accounts: { l1: l1Batch.accounts, l2: l2Batch.accounts },
+    burnedRaw,
+  });
+  const { totalExcludedRaw } = summarizeNonCirculating(nonCirculatingCache);
+  const circulatingRaw = maxRaw(0n, totalRaw - totalExcludedRaw);
 
   // Parity check: l1 + l2 should approximately equal totalSupply
-  const parityDrift = Math.abs(totalSupply - CANONICAL_TOTAL);
+  const driftRaw = totalRaw - CANONICAL_TOTAL_RAW;
+  const parityDrift = toUi(driftRaw < 0n ? -driftRaw : driftRaw);
   const parityCheck = parityDrift < 1
     ? `l1 + l2 = ${Math.round(totalSupply)} OK`
     : `l1(${l1Supply.toFixed(0)}) + l2(${l2Supply.toFixed(0)}) = ${totalSupply.toFixed(0)} (drift: ${parityDrift.toFixed(0)} from canonical)`;
 
+  invariantEngine.evaluate({
+    decimals: SUPPLY_RAW_DECIMALS,
+    totalRaw: l2Result.error || l1TokenResult.error ? null : totalRaw,
+    canonicalRaw: CANONICAL_TOTAL_RAW,
+    bridgeLockedRaw: bridgeResult.error ? null : bridgeResult.raw,
+    bridgeReserveRaw: bridgeReserveResult.error ? null : bridgeReserveResult.raw,
+    bridgeBackingRaw: bridgeTracker.expectedBacking()?.raw ?? null,
+    feeConfig: feeConfigResult.config,
+    expectedMint: L2_MYTH_MINT,
+    expectedAdmin: FEE_CONFIG_ADMIN,
+  });
+
+  if (!bridgeResult.error && !bridgeReserveResult.error) {
+    bridgeTracker.observe({ lockedRaw: bridgeResult.raw, reserveRaw: bridgeReserveResult.raw, l1Slot: slots.l1, l2Slot: slots.l2 });
+  }
+
   supplyData = {
     ...supplyData,
     totalSupply: Math.round(totalSupply * 100) / 100,
     l1Supply: Math.round(l1Supply * 100) / 100,
     l2Supply: Math.round(l2Supply * 100) / 100,
-    bridgeLocked,
-    bridgeReserve: Math.round(bridgeReserveBalance * 100) / 100,
-    foundationReserve: Math.round(foundationBalance * 100) / 100,
-    circulating: Math.round(circulating * 100) / 100,
+    bridgeLocked: toUi(bridgeResult.raw),
+    bridgeReserve: Math.round(toUi(bridgeReserveResult.raw) * 100) / 100,
+    foundationReserve: Math.round(toUi(foundationResult.raw) * 100) / 100,
+    circulating: Math.round(toUi(circulatingRaw) * 100) / 100,
+    nonCirculating: Math.round(toUi(totalExcludedRaw) * 100) / 100,
     burned: totalBurnedMYTH,
     feeConfig,
     parityCheck,
+    // Slot each chain's values were read at (null before the first read)
+    slots,
+    raw: {
+      totalSupply: totalRaw,
+      l1Supply: l1Raw,
+      l2Supply: l2Raw,
+      bridgeLocked: bridgeResult.raw,
+      bridgeReserve: bridgeReserveResult.raw,
+      foundationReserve: foundationResult.raw,
+      circulating: circulatingRaw,
+      nonCirculating: totalExcludedRaw,
+      burned: burnedRaw,
+    },
     lastUpdated: new Date().toISOString(),
   };
 
-  // Record burn history
+  emitSupplyEvents({
+    burnedRaw: feeConfigResult.config ? burnedRaw : null,
+    feeConfig: feeConfigResult.config,
+    foundationRaw: foundationResult.error ? null : foundationResult.raw,
+  });
+
+  return [
+    l2Result.error && `l2Supply: ${l2Result.error}`,
+    foundationResult.error && `foundationReserve: ${foundationResult.error}`,
+    bridgeReserveResult.error && `bridgeReserve: ${bridgeReserveResult.error}`,
+    feeConfigResult.error,
+    l1TokenResult.error && `l1Supply: ${l1TokenResult.error}`,
+    bridgeResult.error && `bridgeLocked: ${bridgeResult.error}`,
+  ].filter(Boolean);
+}
+
+// Subscribe mode: a notification patches the chain's last read and
+// re-decodes only the fields that read the changed account. Ignored until
+// the chain has a successful full read. Runs in the WebSocket message
+// handler, so an error is logged rather than thrown; the next full read
+// reconciles.
+function onAccountChange(chain, address, account, slot) {
+  try {
+    const reads = chainReads[chain];
+    if (!reads?.accounts) return;
+    accountNotifications.inc({ chain });
+    reads.accounts.set(address, account);
+    reads.slot = Math.max(reads.slot ?? 0, slot);
+    const fields = chain === "l1" ? L1_FIELDS : L2_FIELDS;
+    const affected = Object.fromEntries(Object.entries(fields).filter(([, f]) => f.accounts.includes(address)));
+    Object.assign(reads.fields, decodeFields(affected, reads.accounts));
+    applySupply();
+    publishStream();
+  } catch (err) {
+    console.log(`[supply-oracle] ${chain.toUpperCase()} account change for ${address} failed: ${err.message}`);
+  }
+}
+
+// In subscribe mode accounts are re-read only to reconcile, or on every poll
+// while a chain's subscriptions are down
+function fullReadDue(now) {
+  if (UPDATE_MODE === "poll" || reconcileDue) return true;
+  if (now - new Date(lastFullReadAt).getTime() >= RECONCILE_INTERVAL_MS) return true;
+  return subscribers.some((sub) => !sub.ready());
+}
+
+// A poll still running when the next one is due is not overlapped; the due
+// poll is skipped instead
+let pollInFlight = false;
+
+async function updateSupplyData() {
+  if (pollInFlight) {
+    console.log("[supply-oracle] Previous poll still running, skipping this one");
+    return;
+  }
+  pollInFlight = true;
+  try {
+    await pollSupplyData();
+  } finally {
+    pollInFlight = false;
+  }
+}
+
+async function pollSupplyData() {
+  const pollStarted = process.hrtime.bigint();
+  const fullRead = fullReadDue(Date.now());
+  const [l2Batch, l1Batch, congestionResult] = await Promise.all([
+    fullRead ? timed("readL2Accounts", () => readChain(l2Pool, L2_BATCH, L2_FIELDS)) : null,
+    fullRead ? timed("readL1Accounts", () => readChain(l1Pool, L1_BATCH, L1_FIELDS)) : null,
+    timed("fetchCongestionSample", () => fetchCongestionSample(l2Pool, { slotTxCapacity: L2_SLOT_TX_CAPACITY })),
+  ]);
+  if (congestionResult.sample) congestionSample = congestionResult.sample;
+
+  if (fullRead) {
+    chainReads = { l1: l1Batch, l2: l2Batch };
+    lastFullReadAt = new Date().toISOString();
+    reconcileDue = false;
+    nonCirculatingCache = await timed("fetchNonCirculatingBalances", () => fetchNonCirculatingBalances(nonCirculatingRegistry, {
+      l1Pool,
+      l2Pool,
+      l1Mint: L1_MYTH_MINT,
+      l2Mint: L2_MYTH_MINT,
+      accounts: { l1: l1Batch.accounts, l2: l2Batch.accounts },
+      slots: { l1: l1Batch.slot, l2: l2Batch.slot },
+      burnedRaw: burnedRawFrom(l2Batch.fields.feeConfig),
+    }, nonCirculatingCache), (balances) => balances.some((e) => e.error));
+  }
+  const readErrors = applySupply();
+  const { l1Supply, l2Supply, totalSupply, parityCheck, feeConfig } = supplyData;
+
+  // Burn counters recorded with the supply snapshot. Stored as JSON numbers,
+  // which are exact for integers below 2^53 base units.
   const now = Date.now();
   const historyEntry = {
     timestamp: now,
-    totalBurned: feeConfig ? feeConfig.totalBurned : 0,
-    gasBurned: feeConfig ? feeConfig.gasBurned : 0,
-    computeBurned: feeConfig ? feeConfig.computeBurned : 0,
-    inferenceBurned: feeConfig ? feeConfig.inferenceBurned : 0,
-    bridgeBurned: feeConfig ? feeConfig.bridgeBurned : 0,
-    subnetBurned: feeConfig ? feeConfig.subnetBurned : 0,
+    totalBurned: feeConfig ? Number(feeConfig.totalBurned) : 0,
+    gasBurned: feeConfig ? Number(feeConfig.gasBurned) : 0,
+    computeBurned: feeConfig ? Number(feeConfig.computeBurned) : 0,
+    inferenceBurned: feeConfig ? Number(feeConfig.inferenceBurned) : 0,
+    bridgeBurned: feeConfig ? Number(feeConfig.bridgeBurned) : 0,
+    subnetBurned: feeConfig ? Number(feeConfig.subnetBurned) : 0,
   };
-  burnHistory.push(historyEntry);
-  if (burnHistory.length > MAX_HISTORY_ENTRIES) {
-    burnHistory = burnHistory.slice(-MAX_HISTORY_ENTRIES);
-  }
 
   // Update 24h/7d burn snapshots
   const cutoff24h = now - 24 * 60 * 60 * 1000;
-  const oldEntry24h = burnHistory.find((e) => e.timestamp >= cutoff24h);
-  if (oldEntry24h) last24hBurnSnapshot = { timestamp: oldEntry24h.timestamp, totalBurned: oldEntry24h.totalBurned };
+  const oldEntry24h = firstSampleAt(cutoff24h);
+  if (oldEntry24h?.totalBurned !== undefined) last24hBurnSnapshot = { timestamp: oldEntry24h.timestamp, totalBurned: oldEntry24h.totalBurned };
 
   const cutoff7d = now - 7 * 24 * 60 * 60 * 1000;
-  const oldEntry7d = burnHistory.find((e) => e.timestamp >= cutoff7d);
-  if (oldEntry7d) last7dBurnSnapshot = { timestamp: oldEntry7d.timestamp, totalBurned: oldEntry7d.totalBurned };
+  const oldEntry7d = firstSampleAt(cutoff7d);
+  if (oldEntry7d?.totalBurned !== undefined) last7dBurnSnapshot = { timestamp: oldEntry7d.timestamp, totalBurned: oldEntry7d.totalBurned };
 
   // Refresh validator cache + RPC vote accounts
   if (now - lastValidatorFetch > VALIDATOR_POLL_MS) {
     const [validators, rpcVote] = await Promise.all([
-      fetchValidators(),
-      fetchRpcVoteAccounts(),
+      timed("fetchValidators", () => fetchValidators(supplyData.slots.l2 ?? undefined)),
+      timed("fetchRpcVoteAccounts", fetchRpcVoteAccounts),
     ]);
     if (validators !== null) validatorCache = validators;
     if (rpcVote !== null) rpcVoteAccountCache = rpcVote;
     lastValidatorFetch = now;
+    if (validators !== null || rpcVote !== null) validatorHistory.record(currentValidatorRows(), now);
   }
 
-  // Save history periodically
-  if (burnHistory.length % 60 === 0) saveBurnHistory();
-
   // Update price
   await updatePrice();
 
-  const errors = [l2Result.error, foundationResult.error, bridgeResult.error, feeConfigResult.error, l1TokenResult.error, bridgeReserveResult.error].filter(Boolean);
+  const tokenResults = await Promise.all([...tokenTrackers.values()].map(async (tracker) => ({
+    symbol: tracker.token.symbol,
+    ...(await timed("updateToken", () => tracker.update(now))),
+  })));
+
+  // Record the full supply snapshot (after price so it is captured too)
+  recordSnapshot({
+    timestamp: now,
+    totalSupply: supplyData.totalSupply,
+    l1Supply: supplyData.l1Supply,
+    l2Supply: supplyData.l2Supply,
+    circulating: supplyData.circulating,
+    foundationReserve: supplyData.foundationReserve,
+    bridgeLocked: supplyData.bridgeLocked,
+    bridgeReserve: supplyData.bridgeReserve,
+    burned: supplyData.burned,
+    price: supplyData.price.usd,
+    volume24h: supplyData.price.volume24h,
+    liquidity: supplyData.price.liquidity,
+    marketCap: supplyData.price.marketCap,
+    l1Slot: supplyData.slots.l1,
+    l2Slot: supplyData.slots.l2,
+    ...historyEntry,
+  });
+  publishStream();
+
+  const errors = [
+    ...readErrors,
+    congestionResult.error && `congestion: ${congestionResult.error}`,
+    ...nonCirculatingCache.filter((e) => e.error).map((e) => `${e.label}: ${e.error}`),
+    ...tokenResults.filter((r) => r.error).map((r) => `${r.symbol}: ${r.error}`),
+  ].filter(Boolean);
+  pollsCompleted += 1;
+  pollDuration.observe({}, Number(process.hrtime.bigint() - pollStarted) / 1e9);
+  pollsTotal.inc({ result: errors.length > 0 ? "warnings" : "ok" });
   if (errors.length > 0) {
     console.log(`[supply-oracle] Update with warnings: ${errors.join(", ")}`);
   } else {
@@ -572,6 +1144,21 @@ async function updateSupplyData() {
   }
 }
 
+// Burn indexer runs on its own timer so a long backfill never delays a
+// supply poll; a run still in flight makes the next tick a no-op
+let burnIndexInFlight = false;
+
+async function indexBurns() {
+  if (burnIndexInFlight) return;
+  burnIndexInFlight = true;
+  try {
+    await timed("indexBurns", () => burnIndexer.run(supplyData.slots.l2 ?? 0));
+  } catch (err) {
+    console.log(`[supply-oracle] Burn indexing failed: ${err.message}`);
+  } finally {
+    burnIndexInFlight = false;
+  }
+}
 
 // -- Fee Oracle ---------------------------------------------------------------
 
@@ -581,16 +1168,30 @@ function updateFeeOracle() {
     return feeOracleCache;
   }
 
-  const mythPrice = supplyData.price?.usd;
-  if (!mythPrice || mythPrice <= 0) {
+  // Keep the last fee rather than pricing transactions off a stale or
+  // low-confidence aggregate
+  const spotPrice = supplyData.price?.usd;
+  if (!spotPrice || spotPrice <= 0 || supplyData.price.stale || supplyData.price.confidence < PRICE_MIN_CONFIDENCE) {
     return feeOracleCache;
   }
 
+  // TWAP resists single-interval manipulation; spot until enough history exists
+  let mythPrice = spotPrice;
+  let priceMode = "spot";
+  if (FEE_PRICE_MODE === "twap") {
+    const avg = averagePrice(now - parseWindow(FEE_PRICE_TWAP_WINDOW), now);
+    if (avg?.twap > 0) {
+      mythPrice = avg.twap;
+      priceMode = `twap:${FEE_PRICE_TWAP_WINDOW}`;
+    }
+  }
+
   const recommendedFeeMYTH = TARGET_FEE_USD / mythPrice;
   const recommendedFeeLamports = Math.ceil(recommendedFeeMYTH * 1e6); // 6 decimals
 
   feeOracleCache = {
     mythPriceUSD: mythPrice,
+    priceMode,
     recommendedFeeMYTH: Math.round(recommendedFeeMYTH * 1e6) / 1e6, // round to 6 decimals
     recommendedFeeLamports,
     feeUSD: TARGET_FEE_USD,
@@ -606,12 +1207,28 @@ function updateFeeOracle() {
 
 const app = express();
 app.use(cors());
+app.use(express.json());
+app.set("json replacer", jsonReplacer);
+
+// Supply fields serving a value older than SUPPLY_STALE_AFTER_MS
+function staleFlags() {
+  const staleFields = supplyGuard.staleFields();
+  return { stale: staleFields.length > 0, staleFields };
+}
+
+// Supply fields that make plain-text supply routes answer 503
+function plainStaleFields() {
+  return PLAIN_TEXT_FIELDS.filter((field) => supplyGuard.isStale(field));
+}
 
 // Full supply data (root endpoint)
 app.get("/", (_req, res) => {
   const { feeConfig: _fc, ...safeData } = supplyData;
   res.json({
     ...safeData,
+    ...staleFlags(),
+    freshness: supplyGuard.status(),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
     bridgeReserve: {
       balance: supplyData.bridgeReserve,
       address: BRIDGE_RESERVE_PDA,
@@ -620,18 +1237,28 @@ app.get("/", (_req, res) => {
   });
 });
 
-// CoinGecko compat - total supply (plain text)
-app.get("/supply", (_req, res) => {
-  res.type("text/plain").send(Math.round(supplyData.totalSupply).toString());
-});
+// Supply figures served to listing aggregators (see lib/aggregators.js)
+function aggregatorFigures() {
+  return { total: supplyData.raw.totalSupply, circulating: supplyData.raw.circulating, max: CANONICAL_TOTAL_RAW };
+}
 
-// CoinGecko compat - circulating supply (plain text)
-app.get("/circulating", (_req, res) => {
-  res.type("text/plain").send(Math.round(supplyData.circulating).toString());
-});
+// CoinGecko, CoinMarketCap (plain text, ?precision=integer|decimal|raw) and
+// DefiLlama (JSON) compat
+app.use(aggregatorRouter({
+  symbol: "MYTH",
+  tokenDecimals: MYTH_DECIMALS,
+  retryAfterMs: POLL_INTERVAL_MS,
+  source: {
+    figures: aggregatorFigures,
+    updatedAt: () => supplyData.lastUpdated,
+    plainStaleFields,
+    staleFields: () => supplyGuard.staleFields(),
+    ready: () => pollsCompleted > 0,
+  },
+}));
 
 // Price endpoint
-app.get("/price", (_req, res) => {
+app.get(["/price", `/api/v1/tokens/${PRIMARY_SYMBOL}/price`], (_req, res) => {
   res.json({
     symbol: "MYTH",
     mint: L1_MYTH_MINT,
@@ -644,100 +1271,343 @@ app.get("/price", (_req, res) => {
     liquidity: supplyData.price.liquidity,
     source: supplyData.price.source,
     lastUpdate: supplyData.price.lastUpdate,
+    stale: supplyData.price.stale,
+    confidence: supplyData.price.confidence,
+    spread: supplyData.price.spread,
+    weighting: PRICE_WEIGHTING,
+    quotes: (priceAggregator.current()?.quotes || []).map((q) => ({
+      source: q.source,
+      id: q.id,
+      usd: q.usd,
+      liquidity: q.liquidity,
+      ageMs: Date.now() - q.fetchedAt,
+      status: q.status,
+      deviation: q.deviation,
+    })),
+    events: priceAggregator.events().slice(-20),
     pumpfun: supplyData.price.pumpfun,
   });
 });
 
+// Price candles (OHLC price plus market data per bucket)
+app.get("/api/v1/price/candles", (req, res) => {
+  let plan;
+  let candles;
+  try {
+    plan = parseHistoryQuery({ ...req.query, mode: "ohlc", fields: PRICE_FIELDS.join(",") });
+    candles = collectPoints(runHistoryQuery(plan));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({
+    symbol: "MYTH",
+    from: new Date(plan.from).toISOString(),
+    to: new Date(plan.to).toISOString(),
+    bucket: plan.bucket,
+    points: candles.length,
+    candles: candles.map((c) => ({
+      timestamp: c.timestamp,
+      samples: c.samples,
+      open: c.price?.open ?? null,
+      high: c.price?.high ?? null,
+      low: c.price?.low ?? null,
+      close: c.price?.close ?? null,
+      volume24h: c.volume24h?.close ?? null,
+      liquidity: c.liquidity?.close ?? null,
+      marketCap: c.marketCap?.close ?? null,
+    })),
+  });
+});
+
+// Time- and volume-weighted average price over ?window= (e.g. 15m, 1h, 7d)
+function averagePriceHandler(kind) {
+  return (req, res) => {
+    let windowMs;
+    try {
+      windowMs = parseWindow(req.query.window || "1h");
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const now = Date.now();
+    const avg = averagePrice(now - windowMs, now);
+    if (!avg || avg[kind] === null) {
+      return res.status(503).json({
+        error: `Not enough price history for ${kind.toUpperCase()}`,
+        retryAfterMs: POLL_INTERVAL_MS,
+      });
+    }
+    res.json({
+      symbol: "MYTH",
+      window: req.query.window || "1h",
+      [kind]: avg[kind],
+      spot: supplyData.price.usd,
+      high: avg.high,
+      low: avg.low,
+      samples: avg.samples,
+      coverageMs: avg.coverageMs,
+      from: new Date(now - windowMs).toISOString(),
+      to: new Date(now).toISOString(),
+    });
+  };
+}
+
+app.get("/api/v1/price/twap", averagePriceHandler("twap"));
+app.get("/api/v1/price/vwap", averagePriceHandler("vwap"));
+
+// Writes a supply amount from supplyData (UI number + exact raw string)
+function supplyAmount(amt, field, name = field) {
+  return amt(name, supplyData.raw[field], SUPPLY_RAW_DECIMALS, supplyData[field]);
+}
+
 // Supply breakdown by chain
-app.get("/breakdown", (_req, res) => {
+app.get("/breakdown", (req, res) => {
+  const amt = amountWriter(req);
   res.json({
-    total: supplyData.totalSupply,
-    burned: supplyData.burned,
-    circulating: supplyData.circulating,
-    l1: { supply: supplyData.l1Supply },
-    l2: { supply: supplyData.l2Supply },
-    bridgeLocked: supplyData.bridgeLocked,
+    ...supplyAmount(amt, "totalSupply", "total"),
+    ...supplyAmount(amt, "burned"),
+    ...supplyAmount(amt, "circulating"),
+    l1: { ...supplyAmount(amt, "l1Supply", "supply") },
+    l2: { ...supplyAmount(amt, "l2Supply", "supply") },
+    ...supplyAmount(amt, "bridgeLocked"),
     bridgeReserve: {
-      balance: supplyData.bridgeReserve,
+      ...supplyAmount(amt, "bridgeReserve", "balance"),
       address: BRIDGE_RESERVE_PDA,
       status: "locked in bridge reserve (non-circulating)",
     },
-    foundationReserve: supplyData.foundationReserve,
+    ...supplyAmount(amt, "foundationReserve"),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
     parityCheck: supplyData.parityCheck,
+    slots: supplyData.slots,
+    ...staleFlags(),
     price: supplyData.price.usd,
   });
 });
 
 // Structured API for explorer/frontends (v1)
-app.get("/api/v1/supply", (_req, res) => {
-  res.json({
-    totalSupply: supplyData.totalSupply,
-    l1Supply: supplyData.l1Supply,
-    l2Supply: supplyData.l2Supply,
-    bridgeLocked: supplyData.bridgeLocked,
+function supplyView(amt) {
+  return {
+    ...supplyAmount(amt, "totalSupply"),
+    ...supplyAmount(amt, "l1Supply"),
+    ...supplyAmount(amt, "l2Supply"),
+    ...supplyAmount(amt, "bridgeLocked"),
     bridgeReserve: {
-      balance: supplyData.bridgeReserve,
+      ...supplyAmount(amt, "bridgeReserve", "balance"),
       address: BRIDGE_RESERVE_PDA,
       status: "locked in bridge reserve (non-circulating)",
     },
-    foundationReserve: supplyData.foundationReserve,
-    circulating: supplyData.circulating,
-    burned: supplyData.burned,
+    ...supplyAmount(amt, "foundationReserve"),
+    ...supplyAmount(amt, "circulating"),
+    ...supplyAmount(amt, "nonCirculating"),
+    ...supplyAmount(amt, "burned"),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
     parityCheck: supplyData.parityCheck,
+    slots: supplyData.slots,
+    ...staleFlags(),
     symbol: "MYTH",
     decimals: MYTH_DECIMALS,
     price: supplyData.price.usd,
     marketCap: supplyData.price.marketCap,
     volume24h: supplyData.price.volume24h,
     lastUpdated: supplyData.lastUpdated,
+  };
+}
+
+app.get(["/api/v1/supply", `/api/v1/tokens/${PRIMARY_SYMBOL}/supply`], (req, res) => {
+  res.json(supplyView(amountWriter(req)));
+});
+
+// Non-circulating accounts with live balances and exclusion reasons
+app.get(["/api/v1/supply/non-circulating", `/api/v1/tokens/${PRIMARY_SYMBOL}/non-circulating`], (req, res) => {
+  const amt = amountWriter(req);
+  const { totalExcludedRaw, byKindRaw } = summarizeNonCirculating(nonCirculatingCache);
+  const byKind = {};
+  for (const [kind, raw] of Object.entries(byKindRaw)) Object.assign(byKind, amt(kind, raw, SUPPLY_RAW_DECIMALS));
+  res.json({
+    ...supplyAmount(amt, "totalSupply"),
+    ...amt("totalExcluded", totalExcludedRaw, SUPPLY_RAW_DECIMALS),
+    ...supplyAmount(amt, "circulating"),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
+    byKind,
+    accounts: nonCirculatingCache.map((e) => ({
+      label: e.label,
+      chain: e.chain,
+      address: e.address,
+      kind: e.kind,
+      source: e.source,
+      excluded: e.excluded,
+      reason: e.reason,
+      ...amt("balance", e.balanceRaw, SUPPLY_RAW_DECIMALS, e.balance),
+      error: e.error,
+      lastUpdated: e.lastUpdated,
+    })),
+    lastUpdated: supplyData.lastUpdated,
+  });
+});
+
+// Burn rate over PROJECTION_BURN_WINDOW of snapshots (or as much as is
+// recorded), in SUPPLY_RAW_DECIMALS base units per day
+function observedBurnRate(now = Date.now()) {
+  const first = firstSampleAt(now - parseWindow(PROJECTION_BURN_WINDOW));
+  if (first?.totalBurned === undefined || !supplyData.feeConfig || first.timestamp >= now) {
+    return { perDayRaw: 0n, from: null };
+  }
+  const burnedThen = scaleRaw(toRaw(first.totalBurned), L2_MYTH_DECIMALS, SUPPLY_RAW_DECIMALS);
+  return {
+    perDayRaw: maxRaw(0n, ((supplyData.raw.burned - burnedThen) * 86400000n) / BigInt(now - first.timestamp)),
+    from: first.timestamp,
+  };
+}
+
+// Vesting status from live balances and a month-by-month projection of
+// circulating supply (?months=, default 24, max 120)
+app.get("/api/v1/supply/projection", (req, res) => {
+  const months = req.query.months === undefined ? 24 : Number(req.query.months);
+  if (!Number.isInteger(months) || months < 1 || months > 120) {
+    return res.status(400).json({ error: "months must be an integer from 1 to 120" });
+  }
+  if (pollsCompleted === 0) return res.status(503).json({ error: "Supply not loaded yet", retryAfterMs: POLL_INTERVAL_MS });
+
+  const amt = amountWriter(req);
+  const supply = (name, raw) => amt(name, raw, SUPPLY_RAW_DECIMALS);
+  const now = Date.now();
+  const status = vestingStatus(vestingAllocations, nonCirculatingCache, now);
+  const burnRate = observedBurnRate(now);
+  const points = projectSupply({
+    allocations: vestingAllocations,
+    status,
+    circulatingRaw: supplyData.raw.circulating,
+    totalRaw: supplyData.raw.totalSupply,
+    burnRatePerDayRaw: burnRate.perDayRaw,
+    months,
+    now,
+  });
+  const sum = (field) => status.reduce((total, s) => total + s[field], 0n);
+
+  res.json({
+    asOf: new Date(now).toISOString(),
+    current: {
+      ...supply("circulating", supplyData.raw.circulating),
+      ...supply("totalSupply", supplyData.raw.totalSupply),
+      ...supply("locked", sum("lockedRaw")),
+      ...supply("unlockedHeld", sum("unlockedHeldRaw")),
+    },
+    burnRate: {
+      ...supply("perDay", burnRate.perDayRaw),
+      window: PROJECTION_BURN_WINDOW,
+      observedFrom: burnRate.from === null ? null : new Date(burnRate.from).toISOString(),
+    },
+    allocations: status.map((s) => ({
+      id: s.id,
+      label: s.label,
+      category: s.category,
+      scheduleType: s.scheduleType,
+      ...supply("amount", s.amountRaw),
+      ...supply("scheduledUnlocked", s.scheduledUnlockedRaw),
+      ...supply("scheduledLocked", s.scheduledLockedRaw),
+      ...supply("balance", s.balanceRaw),
+      ...supply("locked", s.lockedRaw),
+      ...supply("unlockedHeld", s.unlockedHeldRaw),
+      ...supply("released", s.releasedRaw),
+      overdrawn: s.overdrawn,
+      nextUnlock: s.nextUnlock && { date: s.nextUnlock.date, ...supply("amount", s.nextUnlock.amountRaw) },
+      fullyUnlockedAt: s.fullyUnlockedAt,
+      errors: s.errors,
+    })),
+    projection: points.map((p) => ({
+      month: p.month,
+      date: p.date,
+      ...supply("unlocked", p.unlockedRaw),
+      ...supply("burned", p.burnedRaw),
+      ...supply("circulating", p.circulatingRaw),
+      ...supply("totalSupply", p.totalSupplyRaw),
+      ...supply("locked", p.lockedRaw),
+      unlocks: p.unlocks.map((u) => ({ id: u.id, ...supply("amount", u.amountRaw) })),
+    })),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
+    lastUpdated: supplyData.lastUpdated,
   });
 });
 
 // Backward compat - /api/supply (same as /api/v1/supply)
-app.get("/api/supply", (_req, res) => {
+app.get("/api/supply", (req, res) => {
+  const amt = amountWriter(req);
   const fc = supplyData.feeConfig;
-  const totalBurnedLamports = fc ? fc.totalBurned : 0;
+  const totalBurnedLamports = fc ? fc.totalBurned : 0n;
   const nowBurned = totalBurnedLamports;
-  const burnRate24h = (nowBurned - last24hBurnSnapshot.totalBurned) / 1e6;
-  const burnRateWeek = (nowBurned - last7dBurnSnapshot.totalBurned) / 1e6;
+  const burnRate24hRaw = nowBurned - toRaw(last24hBurnSnapshot.totalBurned);
+  const burnRateWeekRaw = nowBurned - toRaw(last7dBurnSnapshot.totalBurned);
 
   res.json({
-    totalSupply: supplyData.totalSupply,
-    l1Supply: supplyData.l1Supply,
-    l2Supply: supplyData.l2Supply,
-    burned: supplyData.burned,
-    circulating: supplyData.circulating,
-    bridgeReserve: supplyData.bridgeReserve,
-    burnRate24h,
-    burnRateWeek,
+    ...supplyAmount(amt, "totalSupply"),
+    ...supplyAmount(amt, "l1Supply"),
+    ...supplyAmount(amt, "l2Supply"),
+    ...supplyAmount(amt, "burned"),
+    ...supplyAmount(amt, "circulating"),
+    ...supplyAmount(amt, "bridgeReserve"),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
+    // Burn rates are FeeConfig deltas in L2 mint base units
+    ...amt("burnRate24h", burnRate24hRaw, L2_MYTH_DECIMALS),
+    ...amt("burnRateWeek", burnRateWeekRaw, L2_MYTH_DECIMALS),
     decimals: MYTH_DECIMALS,
+    ...staleFlags(),
     lastUpdated: supplyData.lastUpdated,
   });
 });
 
 // Fee stats
-app.get("/api/supply/stats", (_req, res) => {
+// Stats export: one row per counter, with its own base units
+const STATS_COLUMNS = [
+  column("metric", (row) => row.metric),
+  column("value", (row) => rawToUi(row.raw, row.decimals)),
+  column("valueRaw", (row) => row.raw.toString()),
+  column("rawDecimals", (row) => row.decimals),
+];
+
+function statsRows() {
+  const fc = supplyData.feeConfig;
+  const counter = (metric, field) => ({ metric, raw: fc?.[field] ?? 0n, decimals: L2_MYTH_DECIMALS });
+  return [
+    ...BURN_CATEGORIES.map((category) => counter(`${category}Burned`, `${category}Burned`)),
+    counter("totalBurned", "totalBurned"),
+    counter("totalFoundationBurned", "totalFoundationBurned"),
+    counter("validatorRewards", "totalDistributed"),
+    counter("foundationCollected", "totalFoundationCollected"),
+    { metric: "foundationBalance", raw: supplyData.raw.foundationReserve, decimals: SUPPLY_RAW_DECIMALS },
+  ];
+}
+
+app.get("/api/supply/stats", (req, res) => {
+  let format;
+  try {
+    format = exportFormat(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (format !== "json") return streamTable(res, { format, columns: STATS_COLUMNS, rows: statsRows(), filename: "supply-stats" });
+
+  const amt = amountWriter(req);
   const fc = supplyData.feeConfig;
-  const toMYTH = (lamports) => (lamports || 0) / 1e6;
+  const myth = (name, lamports) => amt(name, lamports ?? 0n, L2_MYTH_DECIMALS);
 
   const feeBreakdown = {
-    gas: { burned: toMYTH(fc?.gasBurned), split: fc?.gasSplit || null },
-    compute: { burned: toMYTH(fc?.computeBurned), split: fc?.computeSplit || null },
-    inference: { burned: toMYTH(fc?.inferenceBurned), split: fc?.inferenceSplit || null },
-    bridge: { burned: toMYTH(fc?.bridgeBurned), split: fc?.bridgeSplit || null },
-    subnet: { burned: toMYTH(fc?.subnetBurned) },
+    gas: { ...myth("burned", fc?.gasBurned), split: fc?.gasSplit || null },
+    compute: { ...myth("burned", fc?.computeBurned), split: fc?.computeSplit || null },
+    inference: { ...myth("burned", fc?.inferenceBurned), split: fc?.inferenceSplit || null },
+    bridge: { ...myth("burned", fc?.bridgeBurned), split: fc?.bridgeSplit || null },
+    subnet: { ...myth("burned", fc?.subnetBurned) },
   };
 
   res.json({
     feeBreakdown,
-    totalBurned: toMYTH(fc?.totalBurned),
-    totalFoundationBurned: toMYTH(fc?.totalFoundationBurned),
-    validatorRewards: toMYTH(fc?.totalDistributed),
+    ...myth("totalBurned", fc?.totalBurned),
+    ...myth("totalFoundationBurned", fc?.totalFoundationBurned),
+    ...myth("validatorRewards", fc?.totalDistributed),
     foundationTreasury: {
-      collected: toMYTH(fc?.totalFoundationCollected),
-      balance: supplyData.foundationReserve || 0,
+      ...myth("collected", fc?.totalFoundationCollected),
+      ...amt("balance", supplyData.raw.foundationReserve, SUPPLY_RAW_DECIMALS, supplyData.foundationReserve || 0),
       wallet: FOUNDATION_WALLET,
     },
+    rawDecimals: L2_MYTH_DECIMALS,
     currentEpoch: fc?.currentEpoch || 0,
     isPaused: fc?.isPaused || false,
     feeOracle: (() => {
@@ -753,106 +1623,978 @@ app.get("/api/supply/stats", (_req, res) => {
   });
 });
 
+// FeeConfig burn counters (streamed on the "burns" channel)
+function burnsView(amt) {
+  const fc = supplyData.feeConfig;
+  const myth = (name, lamports) => amt(name, lamports ?? 0n, L2_MYTH_DECIMALS);
+  const totalBurned = fc ? fc.totalBurned : 0n;
+  return {
+    ...myth("totalBurned", fc?.totalBurned),
+    ...myth("gasBurned", fc?.gasBurned),
+    ...myth("computeBurned", fc?.computeBurned),
+    ...myth("inferenceBurned", fc?.inferenceBurned),
+    ...myth("bridgeBurned", fc?.bridgeBurned),
+    ...myth("subnetBurned", fc?.subnetBurned),
+    ...myth("totalFoundationBurned", fc?.totalFoundationBurned),
+    ...myth("burnRate24h", totalBurned - toRaw(last24hBurnSnapshot.totalBurned)),
+    ...myth("burnRateWeek", totalBurned - toRaw(last7dBurnSnapshot.totalBurned)),
+    rawDecimals: L2_MYTH_DECIMALS,
+    currentEpoch: fc?.currentEpoch || 0,
+    lastUpdated: supplyData.lastUpdated,
+  };
+}
+
 // Burn history
+const BURN_COUNTERS = ["totalBurned", ...BURN_CATEGORIES.map((category) => `${category}Burned`)];
+const BURN_HISTORY_COLUMNS = [
+  column("timestamp", (e) => new Date(e.timestamp).toISOString()),
+  ...BURN_COUNTERS.flatMap((name) => amountColumns(name, (e) => toRaw(e[name]), L2_MYTH_DECIMALS)),
+];
+
+// Snapshots carrying the burn counters, oldest first
+function* burnSamples(from, to) {
+  for (const sample of querySamples(from, to)) {
+    if (sample.totalBurned !== undefined) yield sample;
+  }
+}
+
+// The last `count` items of an iterable, keeping at most 2 * count in memory
+function lastItems(items, count) {
+  const kept = [];
+  for (const item of items) {
+    kept.push(item);
+    if (kept.length >= 2 * count) kept.splice(0, kept.length - count);
+  }
+  return kept.slice(-count);
+}
+
 app.get("/api/supply/history", (req, res) => {
+  let format;
+  try {
+    format = exportFormat(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const limit = req.query.limit === undefined ? null : parseInt(req.query.limit, 10);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+  const amt = amountWriter(req);
+  const myth = (name, value) => amt(name, toRaw(value), L2_MYTH_DECIMALS);
   const period = req.query.period || "24h";
-  const limit = Math.min(parseInt(req.query.limit || "500", 10), MAX_HISTORY_ENTRIES);
 
-  const periodMs = { "1h": 3600000, "6h": 21600000, "24h": 86400000 };
-  const cutoff = Date.now() - (periodMs[period] || periodMs["24h"]);
+  const now = Date.now();
+  const cutoff = period === "all"
+    ? (oldestTimestamp() ?? now)
+    : now - (RANGES[period] || RANGES["24h"]);
+
+  // Exports stream the whole period unless ?limit= is given
+  if (format !== "json") {
+    const rows = limit === null ? burnSamples(cutoff, now) : lastItems(burnSamples(cutoff, now), limit);
+    return streamTable(res, { format, columns: BURN_HISTORY_COLUMNS, rows, filename: `burn-history-${period}` });
+  }
 
-  const filtered = burnHistory
-    .filter((e) => e.timestamp >= cutoff)
-    .slice(-limit)
+  const filtered = lastItems(burnSamples(cutoff, now), Math.min(limit ?? 500, MAX_HISTORY_ENTRIES))
     .map((e) => ({
       timestamp: new Date(e.timestamp).toISOString(),
-      totalBurned: e.totalBurned / 1e6,
-      gasBurned: e.gasBurned / 1e6,
-      computeBurned: e.computeBurned / 1e6,
-      inferenceBurned: e.inferenceBurned / 1e6,
-      bridgeBurned: e.bridgeBurned / 1e6,
-      subnetBurned: e.subnetBurned / 1e6,
+      ...myth("totalBurned", e.totalBurned),
+      ...myth("gasBurned", e.gasBurned),
+      ...myth("computeBurned", e.computeBurned),
+      ...myth("inferenceBurned", e.inferenceBurned),
+      ...myth("bridgeBurned", e.bridgeBurned),
+      ...myth("subnetBurned", e.subnetBurned),
     }));
 
-  res.json({ period, entries: filtered.length, history: filtered });
-});
-
-// Validators
-app.get("/api/supply/validators", (_req, res) => {
-  const toMYTH = (lamports) => (lamports || 0) / 1e6;
-
-  // On-chain ValidatorFeeAccount entries from myth-token program
-  const onChainValidators = validatorCache.map((v) => ({
-    address: v.address,
-    validator: v.validator,
-    stakeAmount: toMYTH(v.stakeAmount),
-    aiCapable: v.aiCapable,
-    rewardMultiplier: v.rewardMultiplier,
-    pendingRewards: toMYTH(v.pendingRewards),
-    totalClaimed: toMYTH(v.totalClaimed),
-    registeredAt: new Date(v.registeredAt * 1000).toISOString(),
-    isActive: v.isActive,
-    source: "myth-token",
-  }));
+  res.json({ period, rawDecimals: L2_MYTH_DECIMALS, entries: filtered.length, history: filtered });
+});
 
-  // RPC vote accounts not already in on-chain list
-  const onChainNodes = new Set(onChainValidators.map((v) => v.validator));
-  const rpcValidators = rpcVoteAccountCache
-    .filter((v) => !onChainNodes.has(v.nodePubkey))
-    .map((v) => ({
-      address: v.votePubkey,
-      validator: v.nodePubkey,
-      stakeAmount: v.activatedStake / 1e9,
-      aiCapable: false,
-      rewardMultiplier: 100,
-      pendingRewards: 0,
-      totalClaimed: 0,
-      registeredAt: null,
-      isActive: !v.isDelinquent,
-      source: "rpc",
-      commission: v.commission,
-      lastVote: v.lastVote,
-    }));
+// Burn ledger, newest first, over the BURN_LEDGER_MAX_ENTRIES newest burns.
+// Filters: ?kind=fee|direct, ?category=, ?payer=; paged with ?limit=
+// (default 100, max 1000) and ?offset=
+const BURN_LEDGER_COLUMNS = [
+  ...["id", "signature", "slot", "blockTime", "kind", "category", "payer", "account", "authority"].map((name) => column(name, (e) => e[name])),
+  ...amountColumns("amount", (e) => e.amount, L2_MYTH_DECIMALS),
+];
+
+app.get("/api/supply/burns", (req, res) => {
+  let format;
+  try {
+    format = exportFormat(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { kind = null, category = null, payer = null } = req.query;
+  if (kind !== null && !BURN_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${BURN_KINDS.join(", ")}` });
+  }
+  if (category !== null && !BURN_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: `category must be one of: ${BURN_CATEGORIES.join(", ")}` });
+  }
+  // Exports default to every matching entry, with no upper limit
+  const exporting = format !== "json";
+  const limit = req.query.limit === undefined ? (exporting ? Infinity : 100) : Number(req.query.limit);
+  if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1 || (!exporting && limit > 1000))) {
+    return res.status(400).json({ error: exporting ? "limit must be a positive integer" : "limit must be an integer from 1 to 1000" });
+  }
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: "offset must be a non-negative integer" });
+  }
+
+  const { count, burns } = burnIndexer.query({ kind, category, payer, offset, limit });
+  if (exporting) {
+    return streamTable(res, { format, columns: BURN_LEDGER_COLUMNS, rows: burns, filename: "burns" });
+  }
 
-  const validators = [...onChainValidators, ...rpcValidators];
-  const active = validators.filter((v) => v.isActive);
-  const totalStake = active.reduce((s, v) => s + v.stakeAmount, 0);
-  const totalPending = active.reduce((s, v) => s + v.pendingRewards, 0);
-  const totalClaimed = validators.reduce((s, v) => s + v.totalClaimed, 0);
+  const amt = amountWriter(req);
+  const myth = (name, raw) => amt(name, raw, L2_MYTH_DECIMALS);
+  const reconciliation = burnIndexer.reconcile(supplyData.feeConfig, supplyData.slots.l2);
 
   res.json({
-    count: validators.length,
-    active: active.length,
-    totalStake,
-    totalPendingRewards: totalPending,
-    totalClaimedRewards: totalClaimed,
-    validators,
+    count,
+    offset,
+    limit,
+    burns: burns.map(({ amount, ...entry }) => ({ ...entry, ...myth("amount", amount) })),
+    rawDecimals: L2_MYTH_DECIMALS,
+    reconciliation: reconciliation && {
+      status: reconciliation.status,
+      feeConfigSlot: reconciliation.feeConfigSlot,
+      ledgerSyncedSlot: reconciliation.ledgerSyncedSlot,
+      ...myth("feeConfigTotalBurned", reconciliation.feeConfigTotalBurned),
+      ...myth("ledgerFeeBurned", reconciliation.ledgerFeeBurned),
+      ...myth("ledgerDirectBurned", reconciliation.ledgerDirectBurned),
+      ...myth("ledgerUnclassified", reconciliation.ledgerUnclassified),
+      ...myth("difference", reconciliation.difference),
+      categories: Object.fromEntries(Object.entries(reconciliation.categories).map(([name, c]) => [name, {
+        ...myth("feeConfig", c.feeConfig),
+        ...myth("ledger", c.ledger),
+        ...myth("difference", c.difference),
+      }])),
+    },
+    indexer: burnIndexer.status(),
     lastUpdated: supplyData.lastUpdated,
   });
 });
 
+// Epoch reports: FeeConfig counter growth per epoch (see lib/epochs.js)
+function epochJson(amt, report) {
+  const { startedAt, endedAt } = report;
+  return {
+    epoch: report.epoch,
+    nextEpoch: report.nextEpoch ?? null,
+    startedAt,
+    endedAt,
+    durationMs: Date.parse(endedAt ?? supplyData.lastUpdated) - Date.parse(startedAt),
+    complete: report.complete,
+    inProgress: report.inProgress,
+    ...Object.assign({}, ...Object.keys(EPOCH_COUNTERS).map((name) => amt(name, report[name], L2_MYTH_DECIMALS))),
+  };
+}
 
-// Fee oracle - dynamic MYTH/USD pricing for competitive fees
-app.get("/api/supply/fee-oracle", (_req, res) => {
-  const oracle = updateFeeOracle();
-  if (!oracle.mythPriceUSD) {
-    return res.status(503).json({
-      error: "Price data not yet available",
-      retryAfterMs: 15000,
-    });
+// Closed epochs newest first (?limit=, default 100) plus the running one
+app.get("/api/supply/epochs", (req, res) => {
+  const limit = parseInt(req.query.limit || "100", 10);
+  if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: "limit must be a positive integer" });
+  const amt = amountWriter(req);
+  const epochs = epochTracker.list();
+  const current = epochTracker.current(supplyData.feeConfig);
+  res.json({
+    currentEpoch: supplyData.feeConfig?.currentEpoch ?? null,
+    current: current ? epochJson(amt, current) : null,
+    count: epochs.length,
+    epochs: epochs.slice(0, limit).map((report) => epochJson(amt, report)),
+    rawDecimals: L2_MYTH_DECIMALS,
+    lastUpdated: supplyData.lastUpdated,
+  });
+});
+
+app.get("/api/supply/epochs/:n", (req, res) => {
+  const epoch = Number(req.params.n);
+  if (!Number.isInteger(epoch) || epoch < 0) return res.status(400).json({ error: "epoch must be a non-negative integer" });
+  const report = epochTracker.openEpoch() === epoch
+    ? epochTracker.current(supplyData.feeConfig)
+    : epochTracker.get(epoch);
+  if (!report) return res.status(404).json({ error: "Epoch not recorded", epoch });
+  res.json({ ...epochJson(amountWriter(req), report), rawDecimals: L2_MYTH_DECIMALS });
+});
+
+// Full supply snapshot history (arbitrary from/to, bucketed aggregates)
+// Snapshot fields holding MYTH amounts, exported with a raw column too
+const SNAPSHOT_AMOUNT_FIELDS = [
+  "totalSupply", "l1Supply", "l2Supply", "circulating", "foundationReserve", "bridgeLocked", "bridgeReserve", "burned",
+];
+const OHLC = ["open", "high", "low", "close"];
+
+// Columns of one history point: OHLC fields split into <field>Open, ...
+function snapshotColumns({ bucket, mode, fields }, decimals = SUPPLY_RAW_DECIMALS) {
+  const valueColumns = (field, name, get) => {
+    if (!SNAPSHOT_AMOUNT_FIELDS.includes(field)) return [column(name, get)];
+    return amountColumns(name, (point) => {
+      const value = get(point);
+      return value === null || value === undefined ? null : uiToRaw(value, decimals);
+    }, decimals);
+  };
+  const ohlc = mode === "ohlc" && bucket !== "raw";
+  return [
+    column("timestamp", (point) => point.timestamp),
+    ...(bucket === "raw" ? [] : [column("samples", (point) => point.samples)]),
+    ...fields.flatMap((field) => (ohlc
+      ? OHLC.flatMap((part) => valueColumns(field, `${field}${part[0].toUpperCase()}${part.slice(1)}`, (point) => point[field]?.[part]))
+      : valueColumns(field, field, (point) => point[field]))),
+  ];
+}
+
+app.get(["/api/v1/supply/history", `/api/v1/tokens/${PRIMARY_SYMBOL}/history`], (req, res) => {
+  let plan;
+  let history;
+  let format;
+  try {
+    format = exportFormat(req);
+    plan = parseHistoryQuery(req.query);
+    if (format === "json") history = collectPoints(runHistoryQuery(plan));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (format !== "json") {
+    return streamTable(res, { format, columns: snapshotColumns(plan), rows: runHistoryQuery(plan), filename: `supply-history-${plan.bucket}` });
+  }
+  res.json({
+    from: new Date(plan.from).toISOString(),
+    to: new Date(plan.to).toISOString(),
+    bucket: plan.bucket,
+    mode: plan.mode,
+    fields: plan.fields,
+    points: history.length,
+    history,
+  });
+});
+
+// Validators: fee accounts and RPC vote accounts with every amount at
+// SUPPLY_RAW_DECIMALS, plus APR and last-claim from the validator history
+function currentValidatorRows() {
+  const rows = validatorRows(validatorCache, rpcVoteAccountCache, { rewardDecimals: L2_MYTH_DECIMALS });
+  const aprs = estimateAprs(rows, validatorHistory, {
+    now: lastValidatorFetch, // when the rows were read
+    aprWindowMs: parseWindow(VALIDATOR_APR_WINDOW),
+  });
+  return rows.map((row) => ({ ...row, ...aprs.get(row.address), lastClaimAt: validatorHistory.lastClaimAt(row.address) }));
+}
+
+function validatorJson(amt, { stake, pendingRewards, totalClaimed, ...row }) {
+  return {
+    ...row,
+    ...amt("stakeAmount", stake, SUPPLY_RAW_DECIMALS),
+    ...amt("pendingRewards", pendingRewards, SUPPLY_RAW_DECIMALS),
+    ...amt("totalClaimed", totalClaimed, SUPPLY_RAW_DECIMALS),
+  };
+}
+
+function validatorsView(amt, query = parseValidatorQuery({})) {
+  const rows = currentValidatorRows();
+  const active = rows.filter((v) => v.isActive);
+  const sum = (list, field) => list.reduce((s, v) => s + v[field], 0n);
+  const { total, page } = applyValidatorQuery(rows, query);
+
+  return {
+    count: rows.length,
+    active: active.length,
+    ...amt("totalStake", sum(active, "stake"), SUPPLY_RAW_DECIMALS),
+    ...amt("totalPendingRewards", sum(active, "pendingRewards"), SUPPLY_RAW_DECIMALS),
+    ...amt("totalClaimedRewards", sum(rows, "totalClaimed"), SUPPLY_RAW_DECIMALS),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
+    matched: total,
+    offset: query.offset,
+    limit: query.limit,
+    validators: page.map((row) => validatorJson(amt, row)),
+    lastUpdated: supplyData.lastUpdated,
+  };
+}
+
+// ?sort=stake|apr|pendingRewards|totalClaimed|rewardMultiplier|registeredAt|lastClaimAt
+// &order=asc|desc, filters ?aiCapable= ?active= ?source=myth-token|rpc, ?limit= ?offset=
+const VALIDATOR_COLUMNS = [
+  ...["address", "validator", "source", "isActive", "aiCapable", "rewardMultiplier"].map((name) => column(name, (v) => v[name])),
+  ...amountColumns("stakeAmount", (v) => v.stake, SUPPLY_RAW_DECIMALS),
+  ...amountColumns("pendingRewards", (v) => v.pendingRewards, SUPPLY_RAW_DECIMALS),
+  ...amountColumns("totalClaimed", (v) => v.totalClaimed, SUPPLY_RAW_DECIMALS),
+  ...["apr", "aprSource", "aprWindowMs", "registeredAt", "lastClaimAt", "commission", "lastVote"].map((name) => column(name, (v) => v[name])),
+];
+
+app.get("/api/supply/validators", (req, res) => {
+  let query;
+  let format;
+  try {
+    format = exportFormat(req);
+    query = parseValidatorQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (format !== "json") {
+    const { page } = applyValidatorQuery(currentValidatorRows(), query);
+    return streamTable(res, { format, columns: VALIDATOR_COLUMNS, rows: page, filename: "validators" });
+  }
+  res.json(validatorsView(amountWriter(req), query));
+});
+
+// One validator by fee account, node identity or vote account, with its
+// samples over ?range= (default 30d, or "all") and payout summary
+app.get("/api/supply/validators/:pubkey", (req, res) => {
+  const { pubkey } = req.params;
+  const range = req.query.range || "30d";
+  if (range !== "all" && !RANGES[range]) {
+    return res.status(400).json({ error: `range must be one of: ${[...Object.keys(RANGES), "all"].join(", ")}` });
   }
+  const row = currentValidatorRows().find((v) => v.address === pubkey || v.validator === pubkey);
+  if (!row) return res.status(404).json({ error: "Validator not found", pubkey });
+
+  const amt = amountWriter(req);
+  const from = range === "all" ? 0 : Date.now() - RANGES[range];
+  const points = validatorHistory.get(row.address, from);
+  const history = points.map((p) => ({
+    timestamp: new Date(p.timestamp).toISOString(),
+    ...amt("stakeAmount", p.stake, SUPPLY_RAW_DECIMALS),
+    ...amt("pendingRewards", p.pendingRewards, SUPPLY_RAW_DECIMALS),
+    ...amt("totalClaimed", p.totalClaimed, SUPPLY_RAW_DECIMALS),
+  }));
+  const voteAccount = rpcVoteAccountCache.find((v) => v.nodePubkey === row.validator || v.votePubkey === pubkey);
+
   res.json({
+    ...validatorJson(amt, row),
+    rawDecimals: SUPPLY_RAW_DECIMALS,
+    payouts: {
+      lastClaimAt: row.lastClaimAt,
+      ...amt("claimedInRange", points.length > 0 ? row.totalClaimed - points[0].totalClaimed : 0n, SUPPLY_RAW_DECIMALS),
+    },
+    voteAccount: voteAccount
+      ? {
+        votePubkey: voteAccount.votePubkey,
+        commission: voteAccount.commission,
+        lastVote: voteAccount.lastVote,
+        isDelinquent: voteAccount.isDelinquent,
+      }
+      : null,
+    range,
+    points: history.length,
+    history,
+    lastUpdated: supplyData.lastUpdated,
+  });
+});
+
+
+// Fee oracle - dynamic MYTH/USD pricing for competitive fees, with
+// priority-fee tiers from recent L2 congestion (?computeUnits= per tx)
+// null until a price is available
+function feeOracleView(computeUnits = FEE_COMPUTE_UNITS) {
+  const oracle = updateFeeOracle();
+  if (!oracle.mythPriceUSD) return null;
+  return {
     mythPriceUSD: oracle.mythPriceUSD,
+    priceMode: oracle.priceMode,
     recommendedFeeMYTH: oracle.recommendedFeeMYTH,
     recommendedFeeLamports: oracle.recommendedFeeLamports,
     feeUSD: oracle.feeUSD,
     solanaComparisonUSD: oracle.solanaComparisonUSD,
     mythDecimals: 6,
     targetFeeUSD: TARGET_FEE_USD,
+    baseFeeLamports: oracle.recommendedFeeLamports,
+    computeUnits,
+    tiers: computeFeeTiers({
+      baseFeeLamports: oracle.recommendedFeeLamports,
+      decimals: 6,
+      sample: congestionSample,
+      computeUnits,
+    }),
+    congestion: congestionSample ? {
+      level: congestionLevel(congestionSample.utilization),
+      utilization: congestionSample.utilization,
+      txPerSlot: congestionSample.txPerSlot,
+      slotTimeMs: congestionSample.slotTimeMs,
+      latestSlot: congestionSample.latestSlot,
+      feeSamples: congestionSample.priorityFees.length,
+      sampledAt: congestionSample.sampledAt,
+    } : null,
     lastUpdated: oracle.lastUpdated,
+  };
+}
+
+app.get("/api/supply/fee-oracle", (req, res) => {
+  const computeUnits = Math.min(
+    Math.max(parseInt(req.query.computeUnits || String(FEE_COMPUTE_UNITS), 10) || FEE_COMPUTE_UNITS, 1),
+    MAX_COMPUTE_UNITS,
+  );
+  const view = feeOracleView(computeUnits);
+  if (!view) {
+    return res.status(503).json({
+      error: "Price data not yet available",
+      retryAfterMs: 15000,
+    });
+  }
+  res.json(view);
+});
+
+// Live updates: snapshot on connect, then a diff per channel after every poll.
+// ?channels=supply,burns,price,validators,fee-oracle; resumes from Last-Event-ID.
+// The same stream is served over WebSocket at /api/v1/ws.
+app.get("/api/v1/stream", stream.sseHandler);
+
+// Publish every channel's current state; the hub sends what changed
+function publishStream() {
+  const amt = amountWriter({ query: {} }); // default precision
+  stream.update("supply", supplyView(amt));
+  stream.update("burns", burnsView(amt));
+  stream.update("price", supplyData.price);
+  stream.update("validators", validatorsView(amt));
+  stream.update("fee-oracle", feeOracleView() ?? { available: false });
+}
+
+// Bridge backing and flows. Flows take the supply history's ?range= / ?from=
+// / ?to= / ?bucket= (bucket=raw lists every recorded change).
+app.get("/api/v1/bridge", (req, res) => {
+  let plan;
+  try {
+    plan = parseHistoryQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (pollsCompleted === 0) return res.status(503).json({ error: "Bridge balances not loaded yet", retryAfterMs: POLL_INTERVAL_MS });
+
+  const amt = amountWriter(req);
+  const supply = (name, raw) => amt(name, raw, SUPPLY_RAW_DECIMALS);
+  const flowAmounts = (flows) => ({
+    ...supply("l1ToL2", flows.l1ToL2),
+    ...supply("l2ToL1", flows.l2ToL1),
+    ...supply("netToL2", flows.l1ToL2 - flows.l2ToL1),
+    ...supply("reserveReleased", flows.reserveReleased),
+    ...supply("reserveReturned", flows.reserveReturned),
+  });
+
+  const lockedRaw = supplyData.raw.bridgeLocked;
+  const reserveRaw = supplyData.raw.bridgeReserve;
+  const expected = bridgeTracker.expectedBacking();
+  const mismatchRaw = expected ? lockedRaw + reserveRaw - expected.raw : null;
+  const toleranceRaw = toRaw(INVARIANT_BRIDGE_TOLERANCE * 10 ** SUPPLY_RAW_DECIMALS);
+  let status = null;
+  if (mismatchRaw !== null) {
+    if (mismatchRaw >= -toleranceRaw && mismatchRaw <= toleranceRaw) status = "backed";
+    else status = mismatchRaw < 0n ? "under-backed" : "over-locked";
+  }
+
+  const since = bridgeTracker.since();
+  const flows = plan.bucket === "raw"
+    ? bridgeTracker.events(plan.from, plan.to).map((e) => ({
+      timestamp: new Date(e.timestamp).toISOString(),
+      l1Slot: e.l1Slot,
+      l2Slot: e.l2Slot,
+      ...supply("locked", e.lockedRaw),
+      ...supply("reserve", e.reserveRaw),
+      ...supply("lockedChange", e.lockedDelta),
+      ...supply("reserveChange", e.reserveDelta),
+    }))
+    : bridgeTracker.flows(plan.from, plan.to, BUCKETS[plan.bucket]).map((b) => ({
+      timestamp: new Date(b.timestamp).toISOString(),
+      changes: b.changes,
+      ...flowAmounts(b),
+    }));
+
+  res.json({
+    ...supply("locked", lockedRaw),
+    ...supply("reserve", reserveRaw),
+    ...supply("backing", lockedRaw + reserveRaw),
+    lockReserveRatio: reserveRaw > 0n ? rawToUi(lockedRaw, SUPPLY_RAW_DECIMALS) / rawToUi(reserveRaw, SUPPLY_RAW_DECIMALS) : null,
+    slots: supplyData.slots,
+    backingCheck: {
+      status,
+      ...(expected ? supply("expected", expected.raw) : { expected: null }),
+      expectedSource: expected?.source ?? null,
+      ...(mismatchRaw !== null ? supply("mismatch", mismatchRaw) : { mismatch: null }),
+      tolerance: INVARIANT_BRIDGE_TOLERANCE,
+    },
+    totals: {
+      since: since === null ? null : new Date(since).toISOString(),
+      changes: bridgeTracker.changes(),
+      ...flowAmounts(bridgeTracker.totals()),
+    },
+    from: new Date(plan.from).toISOString(),
+    to: new Date(plan.to).toISOString(),
+    bucket: plan.bucket,
+    flows,
+    rawDecimals: SUPPLY_RAW_DECIMALS,
+    lastUpdated: supplyData.lastUpdated,
   });
 });
 
+// Signed supply attestations (see lib/attestation.js). A snapshot is signed
+// once, and again only if its stale flag changes.
+function currentAttestation() {
+  const { stale } = staleFlags();
+  if (lastAttestation?.payload.timestamp === supplyData.lastUpdated && lastAttestation.payload.stale === stale) {
+    return lastAttestation;
+  }
+  lastAttestation = signAttestation(attestationKey, attestationPayload({
+    totalRaw: supplyData.raw.totalSupply,
+    circulatingRaw: supplyData.raw.circulating,
+    burnedRaw: supplyData.raw.burned,
+    rawDecimals: SUPPLY_RAW_DECIMALS,
+    l1Slot: supplyData.slots.l1,
+    l2Slot: supplyData.slots.l2,
+    timestamp: supplyData.lastUpdated,
+    stale,
+  }));
+  return lastAttestation;
+}
+
+app.get("/api/v1/attestation", (_req, res) => {
+  if (!attestationKey) return res.status(503).json({ error: "Attestations disabled (no ATTESTATION_KEYPAIR file)" });
+  if (pollsCompleted === 0) return res.status(503).json({ error: "Supply not loaded yet", retryAfterMs: POLL_INTERVAL_MS });
+  res.json(currentAttestation());
+});
+
+app.get("/.well-known/attestation-key.json", (_req, res) => {
+  if (!attestationKey) return res.status(503).json({ error: "Attestations disabled (no ATTESTATION_KEYPAIR file)" });
+  res.json({
+    algorithm: "ed25519",
+    publicKey: attestationKey.publicKey,
+    publicKeyEncoding: "base58",
+    signatureEncoding: "base64",
+    message: "UTF-8 bytes of the attestation's message field",
+    version: ATTESTATION_VERSION,
+  });
+});
+
+// Supply invariants: current status plus the violation/resolution history
+// (newest first). Filters: ?id=, ?severity=, ?status=ok|violated|unknown, ?limit=
+app.get("/api/v1/invariants", (req, res) => {
+  const { id, severity, status } = req.query;
+  if (severity && !SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: `severity must be one of: ${SEVERITIES.join(", ")}` });
+  }
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+
+  const all = invariantEngine.current();
+  const invariants = all.filter((inv) => (!id || inv.id === id)
+    && (!severity || inv.severity === severity)
+    && (!status || inv.status === status));
+  const history = invariantEngine.history()
+    .filter((e) => (!id || e.id === id) && (!severity || e.severity === severity))
+    .reverse()
+    .slice(0, limit);
+  const violated = all.filter((inv) => inv.status === "violated");
+
+  res.json({
+    status: violated.length > 0 ? "violated" : "ok",
+    summary: {
+      ok: all.filter((inv) => inv.status === "ok").length,
+      violated: violated.length,
+      unknown: all.filter((inv) => inv.status === "unknown").length,
+      critical: violated.filter((inv) => inv.severity === "critical").length,
+    },
+    invariants,
+    history,
+  });
+});
+
+// -- Tokens -------------------------------------------------------------------
+
+// MYTH's /api/v1/tokens/MYTH/* routes are its legacy handlers (registered
+// with them above); these serve the tokens from TOKENS_CONFIG.
+
+// Tracker for :symbol, or a 404
+function findToken(req, res) {
+  const tracker = tokenTrackers.get(req.params.symbol.toUpperCase());
+  if (!tracker) res.status(404).json({ error: "Unknown token", symbol: req.params.symbol });
+  return tracker;
+}
+
+// Amount at the token's decimals, null for a token without that figure (e.g.
+// no L1 mint)
+function tokenAmount(amt, token, name, raw) {
+  return raw === null ? { [name]: null } : amt(name, raw, token.decimals);
+}
+
+function tokenStaleFlags(tracker) {
+  const staleFields = tracker.guard.staleFields();
+  return { stale: staleFields.length > 0, staleFields };
+}
+
+app.get("/api/v1/tokens", (req, res) => {
+  const amt = amountWriter(req);
+  // Each token's raws are at its own `decimals`
+  res.json({
+    tokens: [
+      {
+        symbol: PRIMARY_SYMBOL,
+        name: "Mythic",
+        primary: true,
+        mints: { l1: L1_MYTH_MINT, l2: L2_MYTH_MINT },
+        decimals: MYTH_DECIMALS,
+        ...amt("maxSupply", CANONICAL_TOTAL_RAW, SUPPLY_RAW_DECIMALS),
+        ...staleFlags(),
+        lastUpdated: supplyData.lastUpdated,
+      },
+      ...[...tokenTrackers.values()].map((tracker) => {
+        const { token } = tracker;
+        return {
+          symbol: token.symbol,
+          name: token.name,
+          primary: false,
+          mints: token.mints,
+          decimals: token.decimals,
+          ...tokenAmount(amt, token, "maxSupply", token.canonicalRaw),
+          ...tokenStaleFlags(tracker),
+          lastUpdated: tracker.supply()?.lastUpdated ?? null,
+        };
+      }),
+    ],
+  });
+});
+
+app.get("/api/v1/tokens/:symbol/supply", (req, res) => {
+  const tracker = findToken(req, res);
+  if (!tracker) return;
+  const supply = tracker.supply();
+  if (!supply) return res.status(503).json({ error: "Token supply not loaded yet", retryAfterMs: POLL_INTERVAL_MS });
+  const amt = amountWriter(req);
+  const { token } = tracker;
+  const price = tracker.price();
+  res.json({
+    ...tokenAmount(amt, token, "totalSupply", supply.raw.totalSupply),
+    ...tokenAmount(amt, token, "l1Supply", supply.raw.l1Supply),
+    ...tokenAmount(amt, token, "l2Supply", supply.raw.l2Supply),
+    ...tokenAmount(amt, token, "circulating", supply.raw.circulating),
+    ...tokenAmount(amt, token, "nonCirculating", supply.raw.nonCirculating),
+    ...tokenAmount(amt, token, "maxSupply", token.canonicalRaw),
+    rawDecimals: token.decimals,
+    slots: supply.slots,
+    ...tokenStaleFlags(tracker),
+    symbol: token.symbol,
+    name: token.name,
+    decimals: token.decimals,
+    mints: token.mints,
+    price: price?.usd ?? null,
+    marketCap: price?.marketCap ?? null,
+    volume24h: price?.volume24h ?? null,
+    lastUpdated: supply.lastUpdated,
+  });
+});
+
+// Plain text like the aggregator routes, decimal by default
+const TOKEN_PLAIN_ROUTES = { "total-supply": "total", "circulating-supply": "circulating", "max-supply": "max" };
+
+for (const [route, figure] of Object.entries(TOKEN_PLAIN_ROUTES)) {
+  app.get(`/api/v1/tokens/:symbol/${route}`, (req, res) => {
+    const precision = req.query.precision || "decimal";
+    if (!PRECISIONS.includes(precision)) {
+      return res.status(400).json({ error: `Invalid precision: ${precision} (expected ${PRECISIONS.join(", ")})` });
+    }
+    if (req.params.symbol.toUpperCase() === PRIMARY_SYMBOL) {
+      const body = formatSupply(aggregatorFigures()[figure], precision, MYTH_DECIMALS);
+      if (figure === "max") return res.type("text/plain").send(body);
+      return sendPlainSupply(res, body, plainStaleFields(), POLL_INTERVAL_MS);
+    }
+
+    const tracker = findToken(req, res);
+    if (!tracker) return;
+    const { token } = tracker;
+    if (figure === "max") {
+      if (token.canonicalRaw === null) return res.status(404).json({ error: `No canonical supply configured for ${token.symbol}` });
+      return res.type("text/plain").send(formatSupply(token.canonicalRaw, precision, token.decimals, token.decimals));
+    }
+    // Stale until every mint has had a good read, so supply is set when served
+    const supply = tracker.supply();
+    const raw = figure === "total" ? supply?.raw.totalSupply : supply?.raw.circulating;
+    sendPlainSupply(res, supply && formatSupply(raw, precision, token.decimals, token.decimals), tracker.guard.staleFields(), POLL_INTERVAL_MS);
+  });
+}
+
+app.get("/api/v1/tokens/:symbol/price", (req, res) => {
+  const tracker = findToken(req, res);
+  if (!tracker) return;
+  const { token } = tracker;
+  if (token.price.sources.length === 0) return res.status(404).json({ error: `No price sources configured for ${token.symbol}` });
+  const price = tracker.price();
+  if (!price) return res.status(503).json({ error: "Token price not loaded yet", retryAfterMs: POLL_INTERVAL_MS });
+  res.json({
+    symbol: token.symbol,
+    mint: token.price.mint,
+    price: price.usd,
+    marketCap: price.marketCap,
+    volume24h: price.volume24h,
+    liquidity: price.liquidity,
+    source: price.source,
+    stale: price.stale,
+    confidence: price.confidence,
+    weighting: PRICE_WEIGHTING,
+    sources: token.price.sources,
+  });
+});
+
+app.get("/api/v1/tokens/:symbol/non-circulating", (req, res) => {
+  const tracker = findToken(req, res);
+  if (!tracker) return;
+  const supply = tracker.supply();
+  if (!supply) return res.status(503).json({ error: "Token supply not loaded yet", retryAfterMs: POLL_INTERVAL_MS });
+  const amt = amountWriter(req);
+  const { token } = tracker;
+  const balances = tracker.balances();
+  const { byKindRaw } = summarizeNonCirculating(balances);
+  const byKind = {};
+  for (const [kind, raw] of Object.entries(byKindRaw)) Object.assign(byKind, amt(kind, raw, token.decimals));
+  res.json({
+    symbol: token.symbol,
+    ...tokenAmount(amt, token, "totalSupply", supply.raw.totalSupply),
+    ...tokenAmount(amt, token, "totalExcluded", supply.raw.nonCirculating),
+    ...tokenAmount(amt, token, "circulating", supply.raw.circulating),
+    rawDecimals: token.decimals,
+    byKind,
+    accounts: balances.map((e) => ({
+      label: e.label,
+      chain: e.chain,
+      address: e.address,
+      kind: e.kind,
+      source: e.source,
+      excluded: e.excluded,
+      reason: e.reason,
+      ...amt("balance", e.balanceRaw, token.decimals, e.balance),
+      error: e.error,
+      lastUpdated: e.lastUpdated,
+    })),
+    lastUpdated: supply.lastUpdated,
+  });
+});
+
+// Same query and export formats as /api/v1/supply/history, over the token's
+// sampled fields (TOKEN_HISTORY_FIELDS)
+app.get("/api/v1/tokens/:symbol/history", (req, res) => {
+  const tracker = findToken(req, res);
+  if (!tracker) return;
+  let plan;
+  let history;
+  let format;
+  try {
+    format = exportFormat(req);
+    plan = parseHistoryQuery(req.query, { fields: TOKEN_HISTORY_FIELDS, oldest: tracker.oldestTimestamp });
+    if (format === "json") history = collectPoints(tracker.history(plan));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { symbol, decimals } = tracker.token;
+  if (format !== "json") {
+    return streamTable(res, { format, columns: snapshotColumns(plan, decimals), rows: tracker.history(plan), filename: `${symbol.toLowerCase()}-history-${plan.bucket}` });
+  }
+  res.json({
+    symbol,
+    from: new Date(plan.from).toISOString(),
+    to: new Date(plan.to).toISOString(),
+    bucket: plan.bucket,
+    mode: plan.mode,
+    fields: plan.fields,
+    points: history.length,
+    history,
+  });
+});
+
+// -- Admin: webhooks ----------------------------------------------------------
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "Admin API disabled (ADMIN_TOKEN is not set)" });
+  const given = Buffer.from(req.get("authorization") || "");
+  const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+// Reload the burn ledger and the indexer's cursors. The burns log is read a
+// chunk at a time; only the newest BURN_LEDGER_MAX_ENTRIES stay in memory.
+function restoreBurnLedger() {
+  const [saved] = readEvents("burn-cursors").slice(-1);
+  burnIndexer.restore(streamEvents("burns"), saved?.cursors, saved?.retry);
+}
+
+// Reload invariant history, dropping superseded baselines from the log
+function restoreInvariants() {
+  const events = readEvents("invariants");
+  const kept = invariantEngine.restore(events);
+  if (kept.length < events.length) rewriteEvents("invariants", kept);
+}
+
+// Reload validator samples, compacting the log when some aged out
+function restoreValidatorHistory() {
+  const events = readEvents("validator-history");
+  const kept = validatorHistory.restore(events);
+  if (kept.length < events.length) rewriteEvents("validator-history", kept);
+}
+
+// Reload each token's history samples, compacting logs as above
+function restoreTokenHistories() {
+  for (const [symbol, tracker] of tokenTrackers) {
+    const events = readEvents(`token-${symbol}`);
+    const kept = tracker.restore(events);
+    if (kept.length < events.length) rewriteEvents(`token-${symbol}`, kept);
+  }
+}
+
+// Admin-created subscriptions are persisted as an event log and replayed on
+// start. Generated secrets are kept in the webhooks secrets file, keyed by
+// subscription id; the log only holds secretEnv references.
+function restoreWebhookSubscriptions() {
+  const saved = new Map();
+  for (const event of readEvents("webhook-subscriptions")) {
+    if (event.type === "created") saved.set(event.subscription.id, event.subscription);
+    else if (event.type === "deleted") saved.delete(event.id);
+  }
+  const secrets = readSecrets("webhooks");
+  for (const sub of saved.values()) {
+    try {
+      webhooks.add(sub.secretEnv ? sub : { ...sub, secret: secrets[sub.id] });
+    } catch (err) {
+      console.log(`[supply-oracle] Skipping saved webhook ${sub.id}: ${err.message}`);
+    }
+  }
+}
+
+app.get("/api/v1/admin/webhooks", requireAdmin, (_req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, subscriptions: webhooks.list(), settings: webhooks.settings });
+});
+
+// Pass `secretEnv` naming an env var that holds the secret, or omit it to have
+// one generated: it is returned only in this response and saved to the 0600
+// webhooks secrets file, never to the event log. The subscription is persisted
+// before it goes live, so a failed write leaves nothing behind.
+app.post("/api/v1/admin/webhooks", requireAdmin, (req, res) => {
+  const body = req.body || {};
+  if (body.secret !== undefined) {
+    return res.status(400).json({ error: "secret cannot be set through the API; pass secretEnv or omit it to have one generated" });
+  }
+  const entry = {
+    id: body.id || `wh_${crypto.randomBytes(4).toString("hex")}`,
+    url: body.url,
+    events: body.events,
+    ...(body.secretEnv === undefined ? {} : { secretEnv: body.secretEnv }),
+  };
+  const secret = entry.secretEnv ? null : crypto.randomBytes(32).toString("hex");
+  let sub;
+  try {
+    sub = validateSubscription(secret ? { ...entry, secret } : entry);
+    if (webhooks.get(sub.id)) throw new Error(`subscription ${sub.id} already exists`);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { secret: _secret, ...saved } = { ...entry, ...sub };
+  try {
+    if (secret) writeSecrets("webhooks", { ...readSecrets("webhooks"), [sub.id]: secret });
+    appendEvent("webhook-subscriptions", { type: "created", timestamp: new Date().toISOString(), subscription: saved });
+  } catch (err) {
+    console.log(`[supply-oracle] Could not save webhook ${sub.id}: ${err.message}`);
+    return res.status(500).json({ error: `Could not save the subscription: ${err.message}` });
+  }
+  webhooks.add(secret ? { ...saved, secret } : saved);
+  res.status(201).json({ ...saved, ...(secret ? { secret } : {}), source: "admin" });
+});
+
+app.delete("/api/v1/admin/webhooks/:id", requireAdmin, (req, res) => {
+  const sub = webhooks.get(req.params.id);
+  if (!sub) return res.status(404).json({ error: "Subscription not found" });
+  if (sub.source === "config") {
+    return res.status(409).json({ error: "Subscription is defined in the webhooks config file" });
+  }
+  try {
+    appendEvent("webhook-subscriptions", { type: "deleted", timestamp: new Date().toISOString(), id: sub.id });
+    const { [sub.id]: _removed, ...secrets } = readSecrets("webhooks");
+    writeSecrets("webhooks", secrets);
+  } catch (err) {
+    console.log(`[supply-oracle] Could not save the removal of webhook ${sub.id}: ${err.message}`);
+    return res.status(500).json({ error: `Could not save the removal: ${err.message}` });
+  }
+  webhooks.remove(sub.id);
+  res.json({ deleted: sub.id });
+});
+
+app.post("/api/v1/admin/webhooks/:id/test", requireAdmin, (req, res) => {
+  if (!webhooks.get(req.params.id)) return res.status(404).json({ error: "Subscription not found" });
+  const event = webhooks.emit("webhook.test", { message: "Test delivery" }, { onlyId: req.params.id });
+  res.status(202).json({ eventId: event.id });
+});
+
+// Delivery log, newest first. Filters: ?subscription=, ?status=pending|delivered|failed, ?type=, ?limit=
+app.get("/api/v1/admin/webhooks/deliveries", requireAdmin, (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
+  const deliveries = webhooks.deliveries({
+    subscriptionId: req.query.subscription,
+    status: req.query.status,
+    type: req.query.type,
+  });
+  res.json({ count: deliveries.length, deliveries: deliveries.reverse().slice(0, limit) });
+});
+
+// Raw account inspection: bytes, detected layout and decoded fields with
+// consistency checks, for debugging program upgrades.
+async function inspectAccount(address) {
+  const info = await l2Pool.call(({ connection }) => withTimeout(connection.getAccountInfo(address), 8000));
+  if (!info) return null;
+
+  const result = {
+    address: address.toBase58(),
+    owner: info.owner.toBase58(),
+    lamports: info.lamports,
+    dataLength: info.data.length,
+    dataBase64: info.data.toString("base64"),
+    dataHex: info.data.toString("hex"),
+    layout: null,
+    decoded: null,
+    issues: [],
+  };
+  const feeConfig = detectLayout(FEE_CONFIG_LAYOUTS, info.data);
+  const validator = detectLayout(VALIDATOR_FEE_ACCOUNT_LAYOUTS, info.data);
+  try {
+    if (feeConfig) {
+      result.layout = { kind: "FeeConfig", version: feeConfig.version };
+      result.decoded = decodeFeeConfig(info.data);
+      if (result.decoded) result.issues = validateFeeConfig(result.decoded, { expectedMint: L2_MYTH_MINT });
+    } else if (validator) {
+      result.layout = { kind: "ValidatorFeeAccount", version: validator.version };
+      result.decoded = decodeValidatorFeeAccount(info.data);
+      result.issues = validateValidatorFeeAccount(result.decoded);
+    }
+  } catch (err) {
+    result.issues.push({ field: null, message: err.message });
+  }
+  return result;
+}
+
+function inspectHandler(resolveAddress) {
+  return async (req, res) => {
+    let address;
+    try {
+      address = resolveAddress(req);
+    } catch {
+      return res.status(400).json({ error: "Invalid account address" });
+    }
+    try {
+      const result = await inspectAccount(address);
+      if (!result) return res.status(404).json({ error: "Account not found", address: address.toBase58() });
+      res.json(result);
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  };
+}
+
+app.get("/api/v1/debug/fee-config", inspectHandler(() => feeConfigAddress()));
+app.get("/api/v1/debug/account/:address", requireAdmin, inspectHandler((req) => new PublicKey(req.params.address)));
+
+// Prometheus metrics
+app.get("/metrics", (_req, res) => {
+  res.set("Content-Type", METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
 // Health check
 app.get("/health", (_req, res) => {
   const age = Date.now() - new Date(supplyData.lastUpdated).getTime();
@@ -862,23 +2604,78 @@ app.get("/health", (_req, res) => {
     lastUpdated: supplyData.lastUpdated,
     ageMs: age,
     parityCheck: supplyData.parityCheck,
+    slots: supplyData.slots,
     priceSource: supplyData.price.source,
     feeConfigLoaded: supplyData.feeConfig !== null,
+    feeConfigLayoutVersion: supplyData.feeConfig ? supplyData.feeConfig.layoutVersion : null,
+    unknownProgramAccounts: unknownProgramAccounts.length,
+    staleFields: supplyGuard.staleFields(),
+    invariantViolations: invariantEngine.current().filter((inv) => inv.status === "violated").map((inv) => inv.id),
     pollIntervalMs: POLL_INTERVAL_MS,
+    rpc: { quorum: RPC_QUORUM, l1: l1Pool.status(), l2: l2Pool.status() },
+    updates: {
+      mode: UPDATE_MODE,
+      lastFullReadAt,
+      subscriptions: subscribers.map((sub) => sub.status()),
+    },
+    storage: storageStats(),
+    validatorHistory: validatorHistory.stats(),
+    burnIndex: burnIndexer.status(),
+    tokens: [...tokenTrackers.values()].map((tracker) => tracker.status()),
+    stream: stream.stats(),
   });
 });
 
 // -- Start --------------------------------------------------------------------
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`[supply-oracle] Mythic Supply Oracle v3.2 on port ${PORT}`);
   console.log(`[supply-oracle] Canonical supply: ${CANONICAL_TOTAL.toLocaleString()} MYTH`);
   console.log(`[supply-oracle] L1 MYTH mint: ${L1_MYTH_MINT}`);
-  console.log(`[supply-oracle] L2 RPC: ${L2_RPC_URL}`);
+  console.log(`[supply-oracle] L1 RPC: ${l1Pool.size} endpoint(s), L2 RPC: ${l2Pool.size} endpoint(s), quorum ${RPC_QUORUM}`);
   console.log(`[supply-oracle] Foundation wallet: ${FOUNDATION_WALLET}`);
   console.log(`[supply-oracle] Polling every ${POLL_INTERVAL_MS}ms`);
+  if (UPDATE_MODE === "subscribe") {
+    console.log(`[supply-oracle] Subscribe mode: account changes pushed, full re-read every ${RECONCILE_INTERVAL_MS}ms`);
+  }
 
-  loadBurnHistory();
-  updateSupplyData();
-  setInterval(updateSupplyData, POLL_INTERVAL_MS);
+  openStorage({
+    dir: STORAGE_DIR,
+    retentionMs: RAW_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    legacyFiles: LEGACY_HISTORY_FILES,
+  });
+  l1Pool.start();
+  l2Pool.start();
+  for (const subscriber of subscribers) {
+    for (const address of subscriber.chain === "l1" ? L1_BATCH : L2_BATCH) subscriber.subscribe(address);
+    subscriber.start();
+  }
+  restoreInvariants();
+  epochTracker.restore(readEvents("epochs"));
+  bridgeTracker.restore(readEvents("bridge-flows"));
+  restoreValidatorHistory();
+  restoreTokenHistories();
+  restoreBurnLedger();
+  restoreWebhookSubscriptions();
+  const poll = () => updateSupplyData().catch((err) => console.log(`[supply-oracle] Poll failed: ${err.message}`));
+  poll();
+  setInterval(poll, POLL_INTERVAL_MS);
+  if (BURN_INDEX_ADDRESSES.length > 0) {
+    indexBurns();
+    setInterval(indexBurns, BURN_INDEX_INTERVAL_MS);
+  }
 });
+stream.attachWebSocket(server, "/api/v1/ws");
+
+// Flush the storage engine before exiting
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    console.log(`[supply-oracle] ${signal} received, flushing storage`);
+    try {
+      flushStorage();
+    } catch (err) {
+      console.log(`[supply-oracle] Storage flush failed: ${err.message}`);
+    }
+    process.exit(0);
+  });
+}
@@ -0,0 +1,104 @@
+/**
+ * Batched, slot-pinned account reads.
+ *
+ * Each poll reads every account it needs from a chain in one
+ * getMultipleAccounts request (MAX_BATCH_SIZE accounts per request) instead
+ * of one request per account, so the values come from a single slot. That
+ * slot is returned with the accounts; later reads in the same poll pass it as
+ * minContextSlot so none of them sees an older state.
+ *
+ * Requests are raw JSON-RPC so lamports above 2^53 stay exact (see
+ * fetchLamports in amounts.js). Amount helpers normalize to
+ * SUPPLY_RAW_DECIMALS (MYTH base units) unless given other decimals.
+ */
+
+import { withTimeout } from "./util.js";
+import { NATIVE_DECIMALS, SUPPLY_RAW_DECIMALS, scaleRaw } from "./amounts.js";
+import { decodeMint, decodeTokenAccount } from "./layouts.js";
+
+export const MAX_BATCH_SIZE = 100;
+
+// JSON.parse with every "lamports" value kept as a string
+export function parseRpcJson(text) {
+  return JSON.parse(text.replace(/"lamports"\s*:\s*(\d+)/g, '"lamports":"$1"'));
+}
+
+// RPC account value (base64 encoding) -> { lamports, owner, data, executable }
+export function toAccount(value) {
+  if (!value) return null;
+  return {
+    lamports: BigInt(value.lamports),
+    owner: value.owner,
+    data: Buffer.from(value.data[0], "base64"),
+    executable: value.executable,
+  };
+}
+
+async function getMultipleAccounts(url, addresses, config, timeoutMs) {
+  const res = await withTimeout(fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "getMultipleAccounts", params: [addresses, config] }),
+  }), timeoutMs);
+  const text = await res.text();
+  if (!res.ok) throw new Error(`getMultipleAccounts HTTP ${res.status}`);
+  const body = parseRpcJson(text);
+  if (body.error) throw new Error(body.error.message || "getMultipleAccounts failed");
+  return body.result;
+}
+
+// Reads `addresses` from one RPC endpoint. Returns { slot, accounts } where
+// accounts maps address -> { lamports (BigInt), owner, data (Buffer),
+// executable }, or null for accounts that do not exist. Batches after the
+// first are pinned to the first batch's slot.
+export async function readAccounts(url, addresses, { commitment = "confirmed", minContextSlot = null, timeoutMs = 8000 } = {}) {
+  const unique = [...new Set(addresses)];
+  const accounts = new Map();
+  let slot = null;
+  for (let i = 0; i < unique.length; i += MAX_BATCH_SIZE) {
+    const chunk = unique.slice(i, i + MAX_BATCH_SIZE);
+    const pin = slot ?? minContextSlot;
+    const config = { encoding: "base64", commitment, ...(pin !== null ? { minContextSlot: pin } : {}) };
+    const { context, value } = await getMultipleAccounts(url, chunk, config, timeoutMs);
+    if (slot === null) slot = context.slot;
+    chunk.forEach((address, j) => accounts.set(address, toAccount(value[j])));
+  }
+  return { slot, accounts };
+}
+
+// -- Amounts ------------------------------------------------------------------
+
+function prefetched(accounts, address) {
+  if (!accounts.has(address)) throw new Error(`${address} was not part of the batch`);
+  return accounts.get(address);
+}
+
+// Mint supply; the mint must exist
+export function mintSupplyRaw(accounts, mint, rawDecimals = SUPPLY_RAW_DECIMALS) {
+  const account = prefetched(accounts, mint);
+  if (!account) throw new Error(`mint ${mint} not found`);
+  const { supply, decimals } = decodeMint(account.data);
+  return scaleRaw(supply, decimals, rawDecimals);
+}
+
+// Native balance (lamports, 9 decimals); a missing account holds 0
+export function nativeBalanceRaw(accounts, address) {
+  const account = prefetched(accounts, address);
+  return scaleRaw(account ? account.lamports : 0n, NATIVE_DECIMALS, SUPPLY_RAW_DECIMALS);
+}
+
+// SPL token account balance of `mint`, which must be in the same batch for
+// its decimals; a missing account holds 0
+export function tokenBalanceRaw(accounts, address, mint, rawDecimals = SUPPLY_RAW_DECIMALS) {
+  const account = prefetched(accounts, address);
+  if (!account) return 0n;
+  const token = decodeTokenAccount(account.data);
+  if (token.mint !== mint) throw new Error(`token account holds ${token.mint}, not ${mint}`);
+  return scaleRaw(token.amount, mintDecimals(accounts, mint), rawDecimals);
+}
+
+export function mintDecimals(accounts, mint) {
+  const account = prefetched(accounts, mint);
+  if (!account) throw new Error(`mint ${mint} not found`);
+  return decodeMint(account.data).decimals;
+}
@@ -0,0 +1,112 @@
+/**
+ * Supply in the shapes listing aggregators ask for.
+ *
+ * Each format maps its routes to a supply figure and has a default
+ * precision; plain-text routes take ?precision= to override it:
+ *
+ *   integer  whole MYTH, rounded half up ("497000000")
+ *   decimal  exact MYTH at the token's decimals, truncated ("497000000.123456")
+ *   raw      base units at SUPPLY_RAW_DECIMALS ("497000000123456")
+ *
+ *   coingecko  /supply, /circulating, /max-supply           integer
+ *   cmc        /api/v1/cmc/{total,circulating,max}-supply   decimal
+ *   defillama  /api/v1/defillama/supply                     JSON numbers
+ *
+ * Figures are { total, circulating, max } in BigInt at SUPPLY_RAW_DECIMALS.
+ * `max` is the configured canonical supply, so it is served even while the
+ * live figures are stale.
+ */
+
+import express from "express";
+import { SUPPLY_RAW_DECIMALS, formatRaw, isRawPrecision, rawToUi, scaleRaw } from "./amounts.js";
+
+export const PRECISIONS = ["integer", "decimal", "raw"];
+
+export const PLAIN_FORMATS = {
+  coingecko: {
+    precision: "integer",
+    routes: { "/supply": "total", "/circulating": "circulating", "/max-supply": "max" },
+  },
+  cmc: {
+    precision: "decimal",
+    routes: {
+      "/api/v1/cmc/total-supply": "total",
+      "/api/v1/cmc/circulating-supply": "circulating",
+      "/api/v1/cmc/max-supply": "max",
+    },
+  },
+};
+
+// `raw` is in base units at rawDecimals
+export function formatSupply(raw, precision, tokenDecimals, rawDecimals = SUPPLY_RAW_DECIMALS) {
+  if (precision === "raw") return raw.toString();
+  if (precision === "decimal") return formatRaw(scaleRaw(raw, rawDecimals, tokenDecimals), tokenDecimals);
+  const unit = 10n ** BigInt(rawDecimals);
+  return ((raw + unit / 2n) / unit).toString();
+}
+
+// DefiLlama-style JSON. `?precision=raw` swaps the numbers for base-unit
+// strings, as elsewhere.
+export function defiLlamaSupply(figures, { symbol, tokenDecimals, raw = false, updatedAt }) {
+  const amount = (value) => (raw ? value.toString() : rawToUi(scaleRaw(value, SUPPLY_RAW_DECIMALS, tokenDecimals), tokenDecimals));
+  return {
+    symbol,
+    decimals: tokenDecimals,
+    circulating: amount(figures.circulating),
+    total: amount(figures.total),
+    max: amount(figures.max),
+    ...(raw ? { rawDecimals: SUPPLY_RAW_DECIMALS } : {}),
+    timestamp: Math.floor(new Date(updatedAt).getTime() / 1000),
+  };
+}
+
+// Plain-text endpoints have no room for a stale flag, so they refuse to
+// serve an old number instead
+export function sendPlainSupply(res, body, staleFields, retryAfterMs) {
+  if (staleFields.length > 0) {
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(503).type("text/plain").send(`Supply data is stale: ${staleFields.join(", ")}`);
+  }
+  res.type("text/plain").send(body);
+}
+
+// Router serving every format above. `source` supplies the live state:
+//   figures()           { total, circulating, max }
+//   updatedAt()         when the figures were read
+//   plainStaleFields()  stale fields that make the plain-text routes 503
+//   staleFields()       every stale field, reported in the JSON
+//   ready()             false until the first poll completes
+export function aggregatorRouter({ symbol, tokenDecimals, retryAfterMs, source }) {
+  const router = express.Router();
+
+  for (const { precision: defaultPrecision, routes } of Object.values(PLAIN_FORMATS)) {
+    for (const [route, figure] of Object.entries(routes)) {
+      router.get(route, (req, res) => {
+        const precision = req.query.precision || defaultPrecision;
+        if (!PRECISIONS.includes(precision)) {
+          return res.status(400).json({ error: `Invalid precision: ${precision} (expected ${PRECISIONS.join(", ")})` });
+        }
+        const body = formatSupply(source.figures()[figure], precision, tokenDecimals);
+        if (figure === "max") return res.type("text/plain").send(body);
+        sendPlainSupply(res, body, source.plainStaleFields(), retryAfterMs);
+      });
+    }
+  }
+
+  router.get("/api/v1/defillama/supply", (req, res) => {
+    if (!source.ready()) return res.status(503).json({ error: "Supply not loaded yet", retryAfterMs });
+    const staleFields = source.staleFields();
+    res.json({
+      ...defiLlamaSupply(source.figures(), {
+        symbol,
+        tokenDecimals,
+        raw: isRawPrecision(req),
+        updatedAt: source.updatedAt(),
+      }),
+      stale: staleFields.length > 0,
+      staleFields,
+    });
+  });
+
+  return router;
+}
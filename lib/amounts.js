@@ -0,0 +1,108 @@
+/**
+ * Lossless token amount helpers.
+ *
+ * Raw amounts are BigInt base units and never pass through floating point.
+ * MYTH amounts are MYTH base units (SUPPLY_RAW_DECIMALS, the 6 decimals of
+ * the L1 and L2 mints), so every `Raw` field means the same thing. Native L2
+ * balances (lamports, 9 decimals) are scaled down when they are read; the
+ * sub-base-unit remainder is dropped. UI numbers are derived from the raw
+ * value only for display.
+ */
+
+import { withTimeout } from "./util.js";
+
+export const SUPPLY_RAW_DECIMALS = 6;
+export const NATIVE_DECIMALS = 9;
+// Persisted events without a `rawDecimals` field predate MYTH base units
+// and hold amounts at 9 decimals
+export const LEGACY_RAW_DECIMALS = 9;
+
+// -- Conversion ---------------------------------------------------------------
+
+export function scaleRaw(raw, fromDecimals, toDecimals) {
+  if (toDecimals >= fromDecimals) return raw * 10n ** BigInt(toDecimals - fromDecimals);
+  return raw / 10n ** BigInt(fromDecimals - toDecimals);
+}
+
+// Exact decimal string, e.g. formatRaw(18095268543n, 6) === "18095.268543"
+export function formatRaw(raw, decimals) {
+  const negative = raw < 0n;
+  const abs = negative ? -raw : raw;
+  const base = 10n ** BigInt(decimals);
+  const whole = abs / base;
+  const frac = (abs % base).toString().padStart(decimals, "0").replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${frac ? `.${frac}` : ""}`;
+}
+
+// Inverse of formatRaw: parseAmount("18095.268543", 6) === 18095268543n.
+// Throws on anything but a non-negative decimal with at most `decimals` places.
+export function parseAmount(text, decimals) {
+  const match = String(text).match(/^(\d+)(?:\.(\d+))?$/);
+  if (!match || (match[2] || "").length > decimals) throw new Error(`invalid amount ${text}`);
+  return BigInt(match[1]) * 10n ** BigInt(decimals) + BigInt((match[2] || "").padEnd(decimals, "0") || "0");
+}
+
+// Base units of a UI number as it prints, e.g. uiToRaw(1000000000.12, 9) ===
+// 1000000000120000000n. For values stored as UI numbers; digits beyond
+// `decimals` are dropped.
+export function uiToRaw(value, decimals) {
+  const text = String(value);
+  if (/e/i.test(text)) return toRaw(value * 10 ** decimals);
+  const [whole, frac = ""] = text.replace("-", "").split(".");
+  const raw = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(frac.slice(0, decimals).padEnd(decimals, "0") || "0");
+  return text.startsWith("-") ? -raw : raw;
+}
+
+export function rawToUi(raw, decimals) {
+  return Number(formatRaw(raw, decimals));
+}
+
+export function toRaw(value) {
+  if (typeof value === "bigint") return value;
+  if (value === null || value === undefined) return 0n;
+  return BigInt(Math.round(Number(value)));
+}
+
+export function maxRaw(a, b) {
+  return a > b ? a : b;
+}
+
+// -- Response helpers ---------------------------------------------------------
+
+// `?precision=raw` replaces every amount with its base-unit string; by default
+// the UI number is kept and an exact `<name>Raw` string is added next to it.
+export function amountWriter(req) {
+  const raw = req.query.precision === "raw";
+  return (name, value, decimals, ui = rawToUi(value, decimals)) => (raw
+    ? { [name]: value.toString() }
+    : { [name]: ui, [`${name}Raw`]: value.toString() });
+}
+
+export function isRawPrecision(req) {
+  return req.query.precision === "raw";
+}
+
+// Express json replacer: BigInt is not JSON-serializable, emit strings.
+export function jsonReplacer(_key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+// -- RPC ----------------------------------------------------------------------
+
+// getBalance without the JSON number round-trip, so balances above 2^53
+// lamports stay exact.
+export async function fetchLamports(rpcUrl, address, commitment = "confirmed") {
+  const res = await withTimeout(fetch(rpcUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "getBalance", params: [address, { commitment }] }),
+  }), 8000);
+  const text = await res.text();
+  if (!res.ok) throw new Error(`getBalance HTTP ${res.status}`);
+  const match = /"value"\s*:\s*(\d+)/.exec(text);
+  if (!match) {
+    const error = /"message"\s*:\s*"([^"]*)"/.exec(text);
+    throw new Error(error ? error[1] : "getBalance: unexpected response");
+  }
+  return BigInt(match[1]);
+}
@@ -0,0 +1,109 @@
+/**
+ * Signed supply attestations.
+ *
+ * The oracle signs each supply snapshot with an ed25519 keypair stored in
+ * the solana-keygen JSON format (ATTESTATION_KEYPAIR, default
+ * keys/attestation.json). An attestation is:
+ *
+ *   message    the signed text: the payload as JSON, keys in a fixed order
+ *   payload    JSON.parse(message), for convenience
+ *   signature  base64 ed25519 signature over the UTF-8 bytes of message
+ *   publicKey  base58 signer, also published at /.well-known/attestation-key.json
+ *
+ * Verify `message`, never a re-serialized payload. The message bytes and
+ * signature are what Solana's Ed25519 program checks too, so a program can
+ * verify an attestation on-chain.
+ *
+ * verifyAttestation() needs only this file and @solana/web3.js and is
+ * exported as "mythic-supply-oracle/attestation".
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import { Keypair, PublicKey } from "@solana/web3.js";
+
+export const ATTESTATION_VERSION = 1;
+
+function base64url(bytes) {
+  return Buffer.from(bytes).toString("base64url");
+}
+
+// -- Keys ---------------------------------------------------------------------
+
+// { publicKey (base58), privateKey (KeyObject) }, or null without a key file
+export function loadAttestationKey(file) {
+  if (!fs.existsSync(file)) {
+    console.log(`[supply-oracle] No attestation keypair at ${file}, attestations disabled`);
+    return null;
+  }
+  const keypair = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(file, "utf-8"))));
+  const privateKey = crypto.createPrivateKey({
+    key: {
+      kty: "OKP",
+      crv: "Ed25519",
+      d: base64url(keypair.secretKey.slice(0, 32)),
+      x: base64url(keypair.publicKey.toBytes()),
+    },
+    format: "jwk",
+  });
+  const publicKey = keypair.publicKey.toBase58();
+  console.log(`[supply-oracle] Attestation signer ${publicKey}`);
+  return { publicKey, privateKey };
+}
+
+function publicKeyObject(base58) {
+  return crypto.createPublicKey({
+    key: { kty: "OKP", crv: "Ed25519", x: base64url(new PublicKey(base58).toBytes()) },
+    format: "jwk",
+  });
+}
+
+// -- Signing ------------------------------------------------------------------
+
+// Payload with its key order fixed here. Amounts are base-unit strings.
+export function attestationPayload({ totalRaw, circulatingRaw, burnedRaw, rawDecimals, l1Slot, l2Slot, timestamp, stale }) {
+  return {
+    version: ATTESTATION_VERSION,
+    symbol: "MYTH",
+    totalSupply: totalRaw.toString(),
+    circulating: circulatingRaw.toString(),
+    burned: burnedRaw.toString(),
+    rawDecimals,
+    l1Slot,
+    l2Slot,
+    timestamp,
+    stale,
+  };
+}
+
+export function signAttestation(key, payload) {
+  const message = JSON.stringify(payload);
+  return {
+    algorithm: "ed25519",
+    publicKey: key.publicKey,
+    message,
+    payload,
+    signature: crypto.sign(null, Buffer.from(message, "utf-8"), key.privateKey).toString("base64"),
+  };
+}
+
+// For consumers: checks the signature against the expected signer and, with
+// maxAgeMs, rejects attestations whose timestamp is older than that.
+export function verifyAttestation(attestation, publicKey, { maxAgeMs = null, now = Date.now() } = {}) {
+  if (!attestation || typeof attestation.message !== "string" || typeof attestation.signature !== "string") return false;
+  let valid;
+  try {
+    valid = crypto.verify(
+      null,
+      Buffer.from(attestation.message, "utf-8"),
+      publicKeyObject(publicKey),
+      Buffer.from(attestation.signature, "base64"),
+    );
+  } catch {
+    return false;
+  }
+  if (!valid) return false;
+  if (maxAgeMs === null) return true;
+  const timestamp = Date.parse(JSON.parse(attestation.message).timestamp);
+  return !Number.isNaN(timestamp) && now - timestamp <= maxAgeMs;
+}
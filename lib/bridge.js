@@ -0,0 +1,111 @@
+/**
+ * Bridge flow tracking between the L1 vault and the L2 reserve.
+ *
+ * An L1 -> L2 transfer locks MYTH in the L1 bridge vault and releases the
+ * same amount of native MYTH from the L2 bridge reserve; L2 -> L1 does the
+ * reverse. Every observed change of either balance is recorded as a flow
+ * event, so volumes stay exact however long ago they happened:
+ *
+ *   l1ToL2           vault increases
+ *   l2ToL1           vault decreases
+ *   reserveReleased  reserve decreases (the L2 side of l1ToL2)
+ *   reserveReturned  reserve increases (the L2 side of l2ToL1)
+ *
+ * Both legs of a transfer rarely land in the same poll, so a single event
+ * can be one-sided. Backing is checked on the totals instead: locked +
+ * reserve must stay at the expected backing (BRIDGE_BACKING_TOTAL, or the
+ * first observation). Below it, more has been released on L2 than is locked
+ * on L1.
+ *
+ * Amounts are BigInt at SUPPLY_RAW_DECIMALS.
+ */
+
+import { LEGACY_RAW_DECIMALS, SUPPLY_RAW_DECIMALS, scaleRaw } from "./amounts.js";
+
+const FLOW_FIELDS = ["l1ToL2", "l2ToL1", "reserveReleased", "reserveReturned"];
+
+function emptyFlows() {
+  return Object.fromEntries(FLOW_FIELDS.map((f) => [f, 0n]));
+}
+
+function addFlows(flows, { lockedDelta, reserveDelta }) {
+  if (lockedDelta > 0n) flows.l1ToL2 += lockedDelta;
+  else flows.l2ToL1 -= lockedDelta;
+  if (reserveDelta < 0n) flows.reserveReleased -= reserveDelta;
+  else flows.reserveReturned += reserveDelta;
+}
+
+export function createBridgeTracker({ expectedBackingRaw = null, onEvent = () => {} } = {}) {
+  const events = []; // { timestamp, lockedRaw, reserveRaw, lockedDelta, reserveDelta, l1Slot, l2Slot }
+  const totals = emptyFlows();
+
+  function restore(saved) {
+    for (const { rawDecimals = LEGACY_RAW_DECIMALS, ...e } of saved) {
+      const amount = (value) => scaleRaw(BigInt(value), rawDecimals, SUPPLY_RAW_DECIMALS);
+      const event = {
+        ...e,
+        lockedRaw: amount(e.lockedRaw),
+        reserveRaw: amount(e.reserveRaw),
+        lockedDelta: amount(e.lockedDelta),
+        reserveDelta: amount(e.reserveDelta),
+      };
+      events.push(event);
+      addFlows(totals, event);
+    }
+  }
+
+  // Records the balances when either changed since the last event (the
+  // first observation is recorded with zero deltas as the starting point)
+  function observe({ lockedRaw, reserveRaw, l1Slot, l2Slot }, now = Date.now()) {
+    const last = events.at(-1);
+    if (last && last.lockedRaw === lockedRaw && last.reserveRaw === reserveRaw) return null;
+    const event = {
+      timestamp: now,
+      lockedRaw,
+      reserveRaw,
+      lockedDelta: last ? lockedRaw - last.lockedRaw : 0n,
+      reserveDelta: last ? reserveRaw - last.reserveRaw : 0n,
+      l1Slot,
+      l2Slot,
+    };
+    events.push(event);
+    addFlows(totals, event);
+    onEvent({ ...event, rawDecimals: SUPPLY_RAW_DECIMALS });
+    return event;
+  }
+
+  // Expected locked + reserve, and where it comes from
+  function expectedBacking() {
+    if (expectedBackingRaw !== null) return { raw: expectedBackingRaw, source: "config" };
+    if (events.length === 0) return null;
+    return { raw: events[0].lockedRaw + events[0].reserveRaw, source: "first-observation" };
+  }
+
+  function eventsBetween(from, to) {
+    return events.filter((e) => e.timestamp >= from && e.timestamp <= to);
+  }
+
+  // Flow sums per bucketMs-wide bucket over [from, to]
+  function flows(from, to, bucketMs) {
+    const buckets = new Map();
+    for (const event of eventsBetween(from, to)) {
+      const start = Math.floor(event.timestamp / bucketMs) * bucketMs;
+      if (!buckets.has(start)) buckets.set(start, { timestamp: start, changes: 0, ...emptyFlows() });
+      const bucket = buckets.get(start);
+      addFlows(bucket, event);
+      bucket.changes += 1;
+    }
+    return [...buckets.values()];
+  }
+
+  return {
+    restore,
+    observe,
+    expectedBacking,
+    flows,
+    events: eventsBetween,
+    totals: () => ({ ...totals }),
+    since: () => (events.length > 0 ? events[0].timestamp : null),
+    changes: () => Math.max(0, events.length - 1),
+  };
+}
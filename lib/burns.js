@@ -0,0 +1,342 @@
+/**
+ * Burn ledger: every L2 MYTH burn, one entry per burn instruction.
+ *
+ * The indexer walks getSignaturesForAddress for each watched address (the
+ * MYTH token program and the L2 mint by default), fetches the transactions
+ * jsonParsed and records every spl-token burn / burnChecked of the mint:
+ *
+ *   kind      "fee" when the burn runs inside a MYTH token program
+ *             instruction, "direct" for any other spl_token::burn
+ *   category  gas | compute | inference | bridge | subnet, from the MYTH
+ *             token program's log lines; null when no log names one
+ *   payer     the transaction fee payer
+ *
+ * Each address is walked newest to oldest in passes. A pass starts at the
+ * chain head and pages back (pagesPerRun pages of pageSize per run) until it
+ * reaches the head of the previous pass, so the first pass backfills the
+ * whole history and later passes pick up only new signatures. Cursors are
+ * handed to onCursors after every page and entries are keyed by signature and
+ * instruction, so a page replayed after a crash is not counted twice.
+ *
+ * A signature whose transaction the RPC returns as null is kept in a retry
+ * list (saved with the cursors) and fetched again at the start of every run
+ * until it resolves; the ledger counts as incomplete meanwhile.
+ *
+ * Only the newest maxEntries burns are kept in memory, in (slot, id) order
+ * as they are inserted; older ones stay in the burns log. The per-kind and
+ * per-category totals used by the reconciliation cover every burn indexed,
+ * and so does the set of ids that keeps a replayed page from counting twice.
+ *
+ * Amounts are BigInt L2 mint base units, like the FeeConfig counters.
+ */
+
+import { PublicKey } from "@solana/web3.js";
+import { withTimeout } from "./util.js";
+
+export const BURN_CATEGORIES = ["gas", "compute", "inference", "bridge", "subnet"];
+export const BURN_KINDS = ["fee", "direct"];
+
+const CATEGORY_PATTERN = new RegExp(`\\b(${BURN_CATEGORIES.join("|")})\\b`, "i");
+
+// -- Parsing ------------------------------------------------------------------
+
+// First fee category named in a log line emitted by `program` itself
+function categoryFromLogs(logs, program) {
+  const stack = [];
+  for (const line of logs || []) {
+    const invoke = line.match(/^Program (\w+) invoke/);
+    if (invoke) {
+      stack.push(invoke[1]);
+      continue;
+    }
+    if (/^Program \w+ (success|failed)/.test(line)) {
+      stack.pop();
+      continue;
+    }
+    if (stack.at(-1) === program && line.startsWith("Program log:")) {
+      const match = line.match(CATEGORY_PATTERN);
+      if (match) return match[1].toLowerCase();
+    }
+  }
+  return null;
+}
+
+function isMintBurn(ix, mint) {
+  return ix.program === "spl-token"
+    && (ix.parsed?.type === "burn" || ix.parsed?.type === "burnChecked")
+    && ix.parsed.info.mint === mint;
+}
+
+// Burn entries of one jsonParsed transaction; none for failed transactions
+export function extractBurns(tx, { mint, feeProgram }) {
+  if (!tx || tx.meta?.err) return [];
+  const { message, signatures } = tx.transaction;
+  const [signature] = signatures;
+  const payer = String(message.accountKeys[0].pubkey ?? message.accountKeys[0]);
+  const category = categoryFromLogs(tx.meta?.logMessages, feeProgram);
+
+  const entry = (id, ix, kind) => ({
+    id: `${signature}:${id}`,
+    signature,
+    slot: tx.slot,
+    blockTime: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+    kind,
+    category: kind === "fee" ? category : null,
+    payer,
+    account: ix.parsed.info.account,
+    authority: ix.parsed.info.authority ?? ix.parsed.info.multisigAuthority ?? null,
+    amount: BigInt(ix.parsed.info.amount ?? ix.parsed.info.tokenAmount.amount),
+  });
+
+  const burns = [];
+  message.instructions.forEach((ix, i) => {
+    if (isMintBurn(ix, mint)) burns.push(entry(i, ix, "direct"));
+  });
+  for (const { index, instructions } of tx.meta?.innerInstructions || []) {
+    const parent = String(message.instructions[index].programId);
+    instructions.forEach((ix, j) => {
+      if (isMintBurn(ix, mint)) burns.push(entry(`${index}.${j}`, ix, parent === feeProgram ? "fee" : "direct"));
+    });
+  }
+  return burns;
+}
+
+// -- Indexer ------------------------------------------------------------------
+
+export function createBurnIndexer({
+  addresses,
+  mint,
+  feeProgram,
+  call,
+  pageSize = 100,
+  pagesPerRun = 5,
+  backfill = true,
+  maxEntries = 100000,
+  onEntries = () => {},
+  onCursors = () => {},
+}) {
+  const entries = []; // newest maxEntries burns, ascending (slot, id)
+  const ids = new Set();
+  const totals = { fee: 0n, direct: 0n, unclassified: 0n, categories: Object.fromEntries(BURN_CATEGORIES.map((c) => [c, 0n])) };
+  // address -> { until, syncedSlot, head, headSlot, before }: a pass runs
+  // from head back to until; syncedSlot is where the last finished pass began
+  const cursors = new Map(addresses.map((a) => [a, { until: null, syncedSlot: null, head: null, headSlot: null, before: null }]));
+  const retry = new Set(); // signatures whose transaction was not returned
+  let lastRunAt = null;
+  let lastError = null;
+
+  function compareEntries(a, b) {
+    return a.slot - b.slot || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  }
+
+  // Counts a burn in the totals and keeps it if it is among the newest
+  // maxEntries; false when it was already indexed
+  function add(entry) {
+    if (ids.has(entry.id)) return false;
+    ids.add(entry.id);
+    if (entry.kind === "direct") {
+      totals.direct += entry.amount;
+    } else {
+      totals.fee += entry.amount;
+      if (entry.category) totals.categories[entry.category] += entry.amount;
+      else totals.unclassified += entry.amount;
+    }
+
+    let lo = 0;
+    let hi = entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (compareEntries(entries[mid], entry) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo === 0 && entries.length >= maxEntries) return true; // older than every kept burn
+    entries.splice(lo, 0, entry);
+    if (entries.length > maxEntries) entries.shift();
+    return true;
+  }
+
+  // `savedEntries` may be any iterable, e.g. a generator over the burns log
+  function restore(savedEntries, savedCursors = {}, savedRetry = []) {
+    for (const e of savedEntries) add({ ...e, amount: BigInt(e.amount) });
+    for (const [address, cursor] of Object.entries(savedCursors)) {
+      if (cursors.has(address)) cursors.set(address, cursor);
+    }
+    for (const signature of savedRetry) retry.add(signature);
+  }
+
+  function saveCursors() {
+    onCursors(Object.fromEntries(cursors), [...retry]);
+  }
+
+  // Fetches the transactions of `signatures` and records their burns; the
+  // ones the RPC does not return go to the retry list
+  async function indexTransactions(signatures) {
+    const txs = await call((connection) => withTimeout(
+      connection.getParsedTransactions(signatures, { commitment: "confirmed", maxSupportedTransactionVersion: 0 }), 30000,
+    ));
+    const added = [];
+    txs.forEach((tx, i) => {
+      if (!tx) {
+        retry.add(signatures[i]);
+        return;
+      }
+      retry.delete(signatures[i]);
+      for (const burn of extractBurns(tx, { mint, feeProgram })) {
+        if (add(burn)) added.push(burn);
+      }
+    });
+    if (added.length > 0) onEntries(added);
+  }
+
+  // Re-fetches up to a page of the retry list
+  async function retryMissing() {
+    if (retry.size === 0) return;
+    await indexTransactions([...retry].slice(0, pageSize));
+    saveCursors();
+  }
+
+  // One page of one address; returns true while the pass has more pages.
+  // `slot` is a slot the chain is known to have reached before the page was
+  // requested, so a pass covers at least up to it.
+  async function step(address, slot) {
+    const cursor = cursors.get(address);
+    const passStart = cursor.head === null;
+    if (passStart && cursor.until === null && !backfill) {
+      // Forward-only: the first pass just marks the current head
+      const [newest] = await call((connection) => withTimeout(
+        connection.getSignaturesForAddress(new PublicKey(address), { limit: 1 }, "confirmed"), 10000,
+      ));
+      cursors.set(address, { ...cursor, until: newest?.signature ?? null, syncedSlot: Math.max(newest?.slot ?? 0, slot) });
+      saveCursors();
+      return false;
+    }
+
+    const signatures = await call((connection) => withTimeout(connection.getSignaturesForAddress(
+      new PublicKey(address),
+      { limit: pageSize, ...(cursor.before ? { before: cursor.before } : {}), ...(cursor.until ? { until: cursor.until } : {}) },
+      "confirmed",
+    ), 10000));
+    const next = { ...cursor };
+    if (passStart && signatures.length > 0) {
+      next.head = signatures[0].signature;
+      next.headSlot = Math.max(signatures[0].slot, slot);
+    }
+
+    const ok = signatures.filter((s) => !s.err).map((s) => s.signature);
+    if (ok.length > 0) await indexTransactions(ok);
+
+    const more = signatures.length === pageSize;
+    if (more) {
+      next.before = signatures.at(-1).signature;
+    } else {
+      // Reached the previous pass (or the start of history)
+      if (next.head !== null) {
+        next.until = next.head;
+        next.syncedSlot = next.headSlot;
+      } else if (passStart) {
+        next.syncedSlot = Math.max(next.syncedSlot ?? 0, slot); // nothing new
+      }
+      next.head = null;
+      next.headSlot = null;
+      next.before = null;
+    }
+    cursors.set(address, next);
+    saveCursors();
+    return more;
+  }
+
+  // Fetcher-style: { indexed, error }. `slot` as for step(), e.g. the slot
+  // of the last account read.
+  async function run(slot = 0) {
+    const before = ids.size;
+    try {
+      await retryMissing();
+      for (const address of addresses) {
+        for (let page = 0; page < pagesPerRun; page++) {
+          if (!(await step(address, slot))) break;
+        }
+      }
+      lastError = null;
+    } catch (err) {
+      lastError = err.message;
+      console.log(`[supply-oracle] Burn indexer failed: ${err.message}`);
+    }
+    lastRunAt = new Date().toISOString();
+    return { indexed: ids.size - before, error: lastError };
+  }
+
+  // The kept burns newest first, from `offset` up to `limit` of them, and
+  // the number of matches. Filters are exact matches, null means any.
+  function query({ kind = null, category = null, payer = null, offset = 0, limit = Infinity } = {}) {
+    if (kind === null && category === null && payer === null) {
+      const end = Math.max(entries.length - offset, 0);
+      return { count: entries.length, burns: entries.slice(Math.max(end - limit, 0), end).reverse() };
+    }
+    const burns = [];
+    let count = 0;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const e = entries[i];
+      if ((kind !== null && e.kind !== kind)
+        || (category !== null && e.category !== category)
+        || (payer !== null && e.payer !== payer)) continue;
+      if (count >= offset && burns.length < limit) burns.push(e);
+      count++;
+    }
+    return { count, burns };
+  }
+
+  // backfilled: every address's history has been walked back to its first
+  // signature and no transaction is waiting for a retry; syncedSlot: the
+  // ledger is complete up to this slot
+  function coverage() {
+    const all = [...cursors.values()];
+    const synced = all.map((c) => c.syncedSlot);
+    return {
+      backfilled: backfill && synced.every((s) => s !== null) && retry.size === 0,
+      syncedSlot: synced.some((s) => s === null) ? null : Math.min(...synced),
+    };
+  }
+
+  // Fee burns in the ledger against the FeeConfig counters (same units).
+  // "lagging" means the difference can be burns the ledger has not reached.
+  function reconcile(feeConfig, feeConfigSlot) {
+    if (!feeConfig) return null;
+    const { backfilled, syncedSlot } = coverage();
+    const { fee, direct, unclassified, categories: sums } = totals;
+    const difference = feeConfig.totalBurned - fee;
+    let status = "match";
+    if (!backfilled) status = "incomplete";
+    else if (difference !== 0n) status = syncedSlot < (feeConfigSlot ?? 0) ? "lagging" : "mismatch";
+    return {
+      status,
+      feeConfigSlot: feeConfigSlot ?? null,
+      ledgerSyncedSlot: syncedSlot,
+      feeConfigTotalBurned: feeConfig.totalBurned,
+      ledgerFeeBurned: fee,
+      ledgerDirectBurned: direct,
+      ledgerUnclassified: unclassified,
+      difference,
+      categories: Object.fromEntries(BURN_CATEGORIES.map((c) => [c, {
+        feeConfig: feeConfig[`${c}Burned`],
+        ledger: sums[c],
+        difference: feeConfig[`${c}Burned`] - sums[c],
+      }])),
+    };
+  }
+
+  function status() {
+    return {
+      addresses,
+      entries: ids.size,
+      kept: entries.length,
+      keptFromSlot: entries[0]?.slot ?? null,
+      ...coverage(),
+      passInProgress: [...cursors.values()].some((c) => c.head !== null),
+      missingTransactions: retry.size,
+      lastRunAt,
+      lastError,
+    };
+  }
+
+  return { restore, run, query, reconcile, status };
+}
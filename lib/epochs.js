@@ -0,0 +1,133 @@
+/**
+ * Per-epoch fee and burn reports from FeeConfig counters.
+ *
+ * FeeConfig.currentEpoch is watched on every update. When it changes, the
+ * open epoch is closed with the growth of each counter between its first
+ * observation and the first observation of the next epoch, so consecutive
+ * records add up to the counters. Boundaries are as precise as the update
+ * interval.
+ *
+ * A record is `complete` only when the oracle saw both of its boundaries
+ * while running: epochs already under way at first start, epochs whose end
+ * was missed during a restart, and jumps over several epochs (the deltas
+ * then cover all of them) are kept but flagged.
+ *
+ * Amounts are BigInt L2 MYTH mint units, like the FeeConfig fields.
+ * "opened" and "closed" events go to onEvent for persistence.
+ */
+
+// Counter deltas reported per epoch: record field -> FeeConfig field
+export const EPOCH_COUNTERS = {
+  totalBurned: "totalBurned",
+  gasBurned: "gasBurned",
+  computeBurned: "computeBurned",
+  inferenceBurned: "inferenceBurned",
+  bridgeBurned: "bridgeBurned",
+  subnetBurned: "subnetBurned",
+  foundationBurned: "totalFoundationBurned",
+  validatorDistributed: "totalDistributed",
+  foundationCollected: "totalFoundationCollected",
+};
+
+function countersOf(feeConfig) {
+  return Object.fromEntries(Object.entries(EPOCH_COUNTERS).map(([name, field]) => [name, feeConfig[field]]));
+}
+
+function reviveCounters(counters) {
+  return Object.fromEntries(Object.keys(EPOCH_COUNTERS).map((name) => [name, BigInt(counters[name])]));
+}
+
+function deltas(start, end) {
+  return Object.fromEntries(Object.keys(EPOCH_COUNTERS).map((name) => [name, end[name] - start[name]]));
+}
+
+export function createEpochTracker({ onEvent = () => {} } = {}) {
+  const closed = new Map(); // epoch -> record, insertion (closing) order
+  let open = null; // { epoch, startedAt, startCounters, complete, lastSeenAt }
+
+  // Replays persisted events. The open epoch's last observation is unknown,
+  // so a transition found on the first update after a restart is incomplete.
+  function restore(events) {
+    for (const event of events) {
+      if (event.type === "opened") {
+        open = {
+          epoch: event.epoch,
+          startedAt: event.startedAt,
+          startCounters: reviveCounters(event.counters),
+          complete: event.complete,
+          lastSeenAt: null,
+        };
+      } else if (event.type === "closed") {
+        closed.set(event.record.epoch, {
+          ...event.record,
+          startCounters: reviveCounters(event.record.startCounters),
+          endCounters: reviveCounters(event.record.endCounters),
+        });
+        if (open?.epoch === event.record.epoch) open = null;
+      }
+    }
+  }
+
+  function openEpoch(epoch, counters, now, complete) {
+    open = { epoch, startedAt: new Date(now).toISOString(), startCounters: counters, complete, lastSeenAt: now };
+    onEvent({ type: "opened", epoch, startedAt: open.startedAt, counters, complete });
+  }
+
+  // Feeds the latest FeeConfig. Returns the closed record on a transition,
+  // otherwise null.
+  function observe(feeConfig, now = Date.now()) {
+    const epoch = feeConfig.currentEpoch;
+    const counters = countersOf(feeConfig);
+    if (!open) {
+      openEpoch(epoch, counters, now, false);
+      return null;
+    }
+    if (epoch === open.epoch) {
+      open.lastSeenAt = now;
+      return null;
+    }
+
+    const record = {
+      epoch: open.epoch,
+      nextEpoch: epoch,
+      startedAt: open.startedAt,
+      endedAt: new Date(now).toISOString(),
+      complete: open.complete && open.lastSeenAt !== null && epoch === open.epoch + 1,
+      startCounters: open.startCounters,
+      endCounters: counters,
+    };
+    closed.set(record.epoch, record);
+    onEvent({ type: "closed", record });
+    openEpoch(epoch, counters, now, epoch > record.epoch);
+    return record;
+  }
+
+  // Running deltas of the open epoch against `feeConfig`
+  function current(feeConfig) {
+    if (!open) return null;
+    return {
+      epoch: open.epoch,
+      startedAt: open.startedAt,
+      endedAt: null,
+      complete: false,
+      inProgress: true,
+      ...deltas(open.startCounters, feeConfig ? countersOf(feeConfig) : open.startCounters),
+    };
+  }
+
+  function report(record) {
+    const { startCounters, endCounters, ...rest } = record;
+    return { ...rest, inProgress: false, ...deltas(startCounters, endCounters) };
+  }
+
+  // Closed epochs, newest first
+  function list() {
+    return [...closed.values()].reverse().map(report);
+  }
+
+  function get(epoch) {
+    return closed.has(epoch) ? report(closed.get(epoch)) : null;
+  }
+
+  return { restore, observe, current, list, get, openEpoch: () => open?.epoch ?? null };
+}
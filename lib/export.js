@@ -0,0 +1,98 @@
+/**
+ * CSV and NDJSON export for tabular endpoints.
+ *
+ * The format comes from ?format=json|csv|ndjson, else from the Accept header
+ * (text/csv, application/x-ndjson), else JSON, which keeps the endpoint's
+ * usual envelope. An export is a fixed list of columns, so CSV headers and
+ * NDJSON keys come out in the same order whatever the data. Amounts are
+ * column pairs: the UI value and `<name>Raw`, the exact base units.
+ *
+ * Rows come from an iterable and are written as they are produced, waiting
+ * for the socket to drain, so a long range is never built into one body.
+ */
+
+import { rawToUi } from "./amounts.js";
+
+export const EXPORT_FORMATS = ["json", "csv", "ndjson"];
+
+const CONTENT_TYPES = { csv: "text/csv; charset=utf-8", ndjson: "application/x-ndjson; charset=utf-8" };
+
+// Throws with a client-facing message on an unknown ?format=
+export function exportFormat(req) {
+  const format = req.query.format;
+  if (format !== undefined) {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Invalid format: ${format} (expected ${EXPORT_FORMATS.join(", ")})`);
+    return format;
+  }
+  const accepted = req.accepts(["application/json", "text/csv", "application/x-ndjson"]);
+  if (accepted === "text/csv") return "csv";
+  if (accepted === "application/x-ndjson") return "ndjson";
+  return "json";
+}
+
+// -- Columns ------------------------------------------------------------------
+
+export function column(name, value) {
+  return { name, value };
+}
+
+// `<name>` (UI) and `<name>Raw` (base units) from a BigInt-or-null getter
+export function amountColumns(name, raw, decimals) {
+  return [
+    column(name, (row) => {
+      const value = raw(row);
+      return value === null || value === undefined ? null : rawToUi(value, decimals);
+    }),
+    column(`${name}Raw`, (row) => raw(row)?.toString() ?? null),
+  ];
+}
+
+// -- Writing ------------------------------------------------------------------
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(cells) {
+  return `${cells.map(csvCell).join(",")}\r\n`;
+}
+
+// Resolves once the socket takes more data, or is gone
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Streams `rows` as csv or ndjson. `filename` (without extension) names the
+// CSV download.
+export async function streamTable(res, { format, columns, rows, filename }) {
+  res.set("Content-Type", CONTENT_TYPES[format]);
+  if (format === "csv") res.attachment(`${filename}.csv`).set("Content-Type", CONTENT_TYPES.csv);
+
+  const write = async (line) => {
+    if (!res.write(line)) await drained(res);
+  };
+  try {
+    if (format === "csv") await write(csvLine(columns.map((c) => c.name)));
+    for (const row of rows) {
+      if (res.destroyed) return;
+      const values = columns.map((c) => c.value(row) ?? null);
+      await write(format === "csv"
+        ? csvLine(values)
+        : `${JSON.stringify(Object.fromEntries(columns.map((c, i) => [c.name, values[i]])))}\n`);
+    }
+    res.end();
+  } catch (err) {
+    console.log(`[supply-oracle] Export ${filename} failed: ${err.message}`);
+    res.destroy(err);
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Congestion sampling and priority-fee tiers for the fee oracle.
+ *
+ * The base fee still comes from the USD target (TARGET_FEE_USD / price).
+ * On top of it, recent L2 prioritization fees (micro-lamports per compute
+ * unit) are split into percentile tiers, and recent performance samples give
+ * the slot utilization used for the expected-inclusion hint.
+ */
+
+import { NATIVE_DECIMALS } from "./amounts.js";
+import { withTimeout } from "./util.js";
+
+export const FEE_TIERS = {
+  low: { percentile: 25, congestedSlots: 10 },
+  medium: { percentile: 50, congestedSlots: 4 },
+  high: { percentile: 75, congestedSlots: 2 },
+  urgent: { percentile: 95, congestedSlots: 1 },
+};
+
+// -- Sampling -----------------------------------------------------------------
+
+// `pool` is the L2 RPC pool (see rpc-pool.js)
+export async function fetchCongestionSample(pool, { slotTxCapacity, performanceSamples = 10 }) {
+  try {
+    const [fees, perf] = await pool.call(({ connection }) => Promise.all([
+      withTimeout(connection.getRecentPrioritizationFees(), 8000),
+      withTimeout(connection.getRecentPerformanceSamples(performanceSamples), 8000),
+    ]));
+
+    let slots = 0;
+    let txs = 0;
+    let periodSecs = 0;
+    for (const sample of perf) {
+      slots += sample.numSlots;
+      txs += sample.numNonVoteTransactions ?? sample.numTransactions;
+      periodSecs += sample.samplePeriodSecs;
+    }
+    const txPerSlot = slots > 0 ? txs / slots : 0;
+
+    return {
+      sample: {
+        priorityFees: fees.map((f) => f.prioritizationFee),
+        latestSlot: fees.reduce((max, f) => Math.max(max, f.slot), 0) || null,
+        txPerSlot,
+        slotTimeMs: slots > 0 ? (periodSecs * 1000) / slots : null,
+        utilization: slotTxCapacity > 0 ? txPerSlot / slotTxCapacity : 0,
+        sampledAt: new Date().toISOString(),
+      },
+      error: null,
+    };
+  } catch (err) {
+    return { sample: null, error: err.message };
+  }
+}
+
+// -- Tiers --------------------------------------------------------------------
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
+export function congestionLevel(utilization) {
+  if (utilization < 0.5) return "low";
+  if (utilization < 0.75) return "moderate";
+  if (utilization < 0.9) return "high";
+  return "severe";
+}
+
+// Inclusion hint: every tier lands in the next slot on an idle chain; under
+// full utilization a tier waits up to its congestedSlots. `baseFeeLamports`
+// is in base units at `decimals`, and so is the total; the priority fee is
+// rounded up into that unit before it is added.
+export function computeFeeTiers({ baseFeeLamports, decimals, sample, computeUnits }) {
+  const sorted = [...(sample?.priorityFees || [])].sort((a, b) => a - b);
+  const utilization = Math.min(sample?.utilization ?? 0, 1);
+  const tiers = {};
+
+  for (const [name, { percentile: p, congestedSlots }] of Object.entries(FEE_TIERS)) {
+    const priorityFeeMicroLamports = percentile(sorted, p);
+    const priorityFeeLamports = Math.ceil((priorityFeeMicroLamports * computeUnits) / 1e6);
+    const priorityFeeBaseUnits = Math.ceil(priorityFeeLamports / 10 ** (NATIVE_DECIMALS - decimals));
+    const totalFeeBaseUnits = baseFeeLamports + priorityFeeBaseUnits;
+    const expectedInclusionSlots = Math.max(1, Math.ceil(congestedSlots * utilization));
+    tiers[name] = {
+      percentile: p,
+      priorityFeeMicroLamports,
+      priorityFeeLamports,
+      priorityFeeMYTH: priorityFeeLamports / 10 ** NATIVE_DECIMALS,
+      totalFeeBaseUnits,
+      totalFeeMYTH: totalFeeBaseUnits / 10 ** decimals,
+      expectedInclusionSlots,
+      expectedInclusionMs: sample?.slotTimeMs ? Math.round(expectedInclusionSlots * sample.slotTimeMs) : null,
+    };
+  }
+  return tiers;
+}
@@ -0,0 +1,177 @@
+/**
+ * Supply snapshot history.
+ *
+ * Every poll records the whole supply picture (chain supplies, circulating,
+ * reserves, burn counters, price and market data) into the tiered storage engine. Queries
+ * take an arbitrary from/to window and return raw samples or bucketed
+ * aggregates (1m / 1h / 1d), either as the last value in each bucket or as
+ * OHLC. Hourly and daily buckets come straight from the storage rollups, so
+ * they cover the full history; raw and 1m buckets are limited to the raw
+ * retention window.
+ */
+
+import { appendSample, querySamples, queryRollups, oldestTimestamp } from "./storage.js";
+
+export const SNAPSHOT_FIELDS = [
+  "totalSupply", "l1Supply", "l2Supply", "circulating", "foundationReserve",
+  "bridgeLocked", "bridgeReserve", "burned", "price", "volume24h", "liquidity", "marketCap",
+  "l1Slot", "l2Slot",
+];
+
+export const BUCKETS = { "1m": 60000, "1h": 3600000, "1d": 86400000 };
+export const RANGES = {
+  "1h": 3600000, "6h": 21600000, "24h": 86400000, "7d": 604800000, "30d": 2592000000,
+};
+export const MODES = ["last", "ohlc"];
+
+const MAX_POINTS = 5000;
+
+export function recordSnapshot(snapshot) {
+  try {
+    appendSample(snapshot);
+  } catch (err) {
+    console.log(`[supply-oracle] Could not persist supply snapshot: ${err.message}`);
+  }
+}
+
+// -- Aggregation --------------------------------------------------------------
+
+function bucketPoint({ start, samples }, mode, fields) {
+  const point = { timestamp: new Date(start).toISOString(), samples: samples.length };
+  for (const field of fields) {
+    const values = samples.map((s) => s[field]).filter((v) => v !== null && v !== undefined);
+    if (values.length === 0) {
+      point[field] = null;
+    } else if (mode === "ohlc") {
+      point[field] = {
+        open: values[0],
+        high: Math.max(...values),
+        low: Math.min(...values),
+        close: values[values.length - 1],
+      };
+    } else {
+      point[field] = values[values.length - 1];
+    }
+  }
+  return point;
+}
+
+// Yields one point per bucket as soon as the entries (oldest first) move past it
+export function* aggregateSnapshots(entries, bucketMs, mode, fields) {
+  let current = null;
+  for (const entry of entries) {
+    const start = Math.floor(entry.timestamp / bucketMs) * bucketMs;
+    if (current && current.start !== start) {
+      yield bucketPoint(current, mode, fields);
+      current = null;
+    }
+    if (!current) current = { start, samples: [] };
+    current.samples.push(entry);
+  }
+  if (current) yield bucketPoint(current, mode, fields);
+}
+
+function* rollupPoints(rows, mode, fields) {
+  for (const row of rows) {
+    const point = { timestamp: new Date(row.timestamp).toISOString(), samples: row.samples };
+    for (const field of fields) {
+      const ohlc = row.values[field];
+      if (!ohlc) point[field] = null;
+      else if (mode === "ohlc") point[field] = { open: ohlc[0], high: ohlc[1], low: ohlc[2], close: ohlc[3] };
+      else point[field] = ohlc[3];
+    }
+    yield point;
+  }
+}
+
+// -- Query parsing ------------------------------------------------------------
+
+function parseTime(value, name) {
+  if (/^\d+$/.test(value)) {
+    const n = parseInt(value, 10);
+    return n < 1e11 ? n * 1000 : n; // accept unix seconds or milliseconds
+  }
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) throw new Error(`Invalid ${name}: ${value}`);
+  return t;
+}
+
+function autoBucket(spanMs) {
+  if (spanMs <= RANGES["24h"]) return "1m";
+  if (spanMs <= RANGES["30d"]) return "1h";
+  return "1d";
+}
+
+// Turns ?range= / ?from= / ?to= / ?bucket= / ?mode= / ?fields= into a query
+// plan. Throws with a client-facing message on invalid input. `fields` and
+// `oldest` (the start of range=all) default to the supply snapshot store.
+export function parseHistoryQuery(query, { now = Date.now(), fields: allowed = SNAPSHOT_FIELDS, oldest = oldestTimestamp } = {}) {
+  const to = query.to ? parseTime(query.to, "to") : now;
+  let from;
+  if (query.from) {
+    from = parseTime(query.from, "from");
+  } else {
+    const range = query.range || "24h";
+    if (range === "all") {
+      from = oldest() ?? to;
+    } else if (RANGES[range]) {
+      from = to - RANGES[range];
+    } else {
+      throw new Error(`Invalid range: ${range} (expected ${[...Object.keys(RANGES), "all"].join(", ")})`);
+    }
+  }
+  if (from > to) throw new Error("from must be before to");
+
+  const bucket = query.bucket || autoBucket(to - from);
+  if (bucket !== "raw" && !BUCKETS[bucket]) {
+    throw new Error(`Invalid bucket: ${bucket} (expected raw, ${Object.keys(BUCKETS).join(", ")})`);
+  }
+
+  const mode = query.mode || "last";
+  if (!MODES.includes(mode)) throw new Error(`Invalid mode: ${mode} (expected ${MODES.join(", ")})`);
+
+  const fields = query.fields ? String(query.fields).split(",") : allowed;
+  const unknown = fields.filter((f) => !allowed.includes(f));
+  if (unknown.length > 0) throw new Error(`Unknown fields: ${unknown.join(", ")}`);
+
+  return { from, to, bucket, mode, fields };
+}
+
+function* rawPoints(entries, fields) {
+  for (const e of entries) {
+    const point = { timestamp: new Date(e.timestamp).toISOString() };
+    for (const field of fields) point[field] = e[field] ?? null;
+    yield point;
+  }
+}
+
+// Gathers points into an array for a JSON response, which is capped at
+// maxPoints; exports stream the points instead
+export function collectPoints(points, maxPoints = MAX_POINTS) {
+  const history = [];
+  for (const point of points) {
+    if (history.length === maxPoints) {
+      throw new Error(`Query returns more than ${maxPoints} points; use a larger bucket or a shorter range`);
+    }
+    history.push(point);
+  }
+  return history;
+}
+
+// Points of a plan, oldest first, generated as they are read
+export function* runHistoryQuery({ from, to, bucket, mode, fields }) {
+  if (bucket === "raw") {
+    yield* rawPoints(querySamples(from, to), fields);
+  } else if (bucket === "1m") {
+    yield* aggregateSnapshots(querySamples(from, to), BUCKETS[bucket], mode, fields);
+  } else {
+    yield* rollupPoints(queryRollups(bucket, from, to), mode, fields);
+  }
+}
+
+// Same plan over in-memory samples (oldest first) already cut to from/to,
+// for histories kept outside the snapshot store
+export function* sampleHistory(entries, { bucket, mode, fields }) {
+  if (bucket === "raw") yield* rawPoints(entries, fields);
+  else yield* aggregateSnapshots(entries, BUCKETS[bucket], mode, fields);
+}
@@ -0,0 +1,267 @@
+/**
+ * Supply invariants, evaluated on every poll.
+ *
+ * Each invariant has an id, a severity (info | warning | critical), a
+ * threshold and a check(ctx, state) that returns { ok, observed, expected,
+ * message }, or null when its inputs are unavailable this poll (a failed
+ * fetch never counts as a violation). `state` is a per-invariant scratch
+ * object for baselines and previous values; the keys an invariant lists in
+ * `persist` are recorded as "baseline" events whenever they change and
+ * restored on start, so a restart does not adopt a new baseline. They go
+ * through JSON, so BigInt values come back as strings.
+ *
+ * Status changes are recorded as events: "violated" when a check starts
+ * failing and "resolved" when it passes again. An open violation is not
+ * re-reported while it persists.
+ */
+
+import { jsonReplacer, rawToUi } from "./amounts.js";
+import { validateFeeConfig } from "./layouts.js";
+
+export const SEVERITIES = ["info", "warning", "critical"];
+
+// FeeConfig counters that only ever grow
+const FEE_CONFIG_COUNTERS = [
+  "totalBurned",
+  "gasBurned",
+  "computeBurned",
+  "inferenceBurned",
+  "bridgeBurned",
+  "subnetBurned",
+  "totalFoundationBurned",
+  "totalDistributed",
+  "totalFoundationCollected",
+];
+
+// -- Definitions --------------------------------------------------------------
+
+// ctx (raw amounts are BigInt; null when the fetch failed this poll):
+//   totalRaw, canonicalRaw, bridgeLockedRaw, bridgeReserveRaw  (at ctx.decimals)
+//   bridgeBackingRaw  expected locked + reserve, null to use the first observation
+//   feeConfig, expectedMint, expectedAdmin
+export const INVARIANTS = [
+  {
+    id: "supply-parity",
+    description: "L1 + L2 supply equals CANONICAL_TOTAL",
+    severity: "critical",
+    threshold: 1,
+    check(ctx) {
+      if (ctx.totalRaw === null) return null;
+      const drift = rawToUi(ctx.totalRaw - ctx.canonicalRaw, ctx.decimals);
+      return {
+        ok: Math.abs(drift) <= this.threshold,
+        observed: rawToUi(ctx.totalRaw, ctx.decimals),
+        expected: rawToUi(ctx.canonicalRaw, ctx.decimals),
+        message: `l1 + l2 drifts ${drift} MYTH from canonical`,
+      };
+    },
+  },
+  {
+    id: "bridge-balance",
+    description: "L1 bridge vault lock + L2 bridge reserve stays constant",
+    severity: "critical",
+    threshold: 1,
+    check(ctx, state) {
+      if (ctx.bridgeLockedRaw === null || ctx.bridgeReserveRaw === null) return null;
+      const sum = ctx.bridgeLockedRaw + ctx.bridgeReserveRaw;
+      if (state.baseline === undefined) state.baseline = ctx.bridgeBackingRaw ?? sum;
+      const drift = rawToUi(sum - state.baseline, ctx.decimals);
+      return {
+        ok: Math.abs(drift) <= this.threshold,
+        observed: rawToUi(sum, ctx.decimals),
+        expected: rawToUi(state.baseline, ctx.decimals),
+        message: `locked ${rawToUi(ctx.bridgeLockedRaw, ctx.decimals)} + reserve ${rawToUi(ctx.bridgeReserveRaw, ctx.decimals)} drifts ${drift} MYTH`,
+      };
+    },
+  },
+  {
+    id: "fee-counters-monotonic",
+    description: "FeeConfig burn and distribution counters never decrease",
+    severity: "critical",
+    threshold: 0,
+    // Kept across restarts, so a decrease while the oracle was down is caught
+    persist: ["counters"],
+    check(ctx, state) {
+      if (!ctx.feeConfig) return null;
+      const previous = state.counters && Object.fromEntries(FEE_CONFIG_COUNTERS.map((f) => [f, BigInt(state.counters[f])]));
+      state.counters = Object.fromEntries(FEE_CONFIG_COUNTERS.map((f) => [f, ctx.feeConfig[f]]));
+      if (!previous) return { ok: true, observed: state.counters, expected: null, message: "baseline recorded" };
+      const decreased = FEE_CONFIG_COUNTERS.filter((f) => state.counters[f] < previous[f]);
+      return {
+        ok: decreased.length === 0,
+        observed: state.counters,
+        expected: previous,
+        message: decreased.length === 0
+          ? "no counter decreased"
+          : `decreased: ${decreased.map((f) => `${f} ${previous[f]} -> ${state.counters[f]}`).join(", ")}`,
+      };
+    },
+  },
+  {
+    id: "fee-config-paused",
+    description: "FeeConfig is not paused",
+    severity: "warning",
+    threshold: null,
+    check(ctx) {
+      if (!ctx.feeConfig) return null;
+      return {
+        ok: !ctx.feeConfig.isPaused,
+        observed: ctx.feeConfig.isPaused,
+        expected: false,
+        message: ctx.feeConfig.isPaused ? "fee collection is paused" : "fee collection is active",
+      };
+    },
+  },
+  {
+    id: "fee-config-admin",
+    description: "FeeConfig admin is unchanged",
+    severity: "critical",
+    threshold: null,
+    // Without FEE_CONFIG_ADMIN the first admin ever observed is the baseline
+    persist: ["admin"],
+    check(ctx, state) {
+      if (!ctx.feeConfig) return null;
+      if (!ctx.expectedAdmin && state.admin === undefined) state.admin = ctx.feeConfig.admin;
+      const expected = ctx.expectedAdmin || state.admin;
+      return {
+        ok: ctx.feeConfig.admin === expected,
+        observed: ctx.feeConfig.admin,
+        expected,
+        message: ctx.feeConfig.admin === expected ? "admin unchanged" : `admin changed to ${ctx.feeConfig.admin}`,
+      };
+    },
+  },
+  {
+    id: "fee-config-consistency",
+    description: "Each FeeConfig *Split sums to 100%, category burns fit totalBurned, mint matches",
+    severity: "critical",
+    threshold: null,
+    check(ctx) {
+      if (!ctx.feeConfig) return null;
+      const issues = validateFeeConfig(ctx.feeConfig, { expectedMint: ctx.expectedMint });
+      return {
+        ok: issues.length === 0,
+        observed: issues,
+        expected: [],
+        message: issues.length === 0 ? "consistent" : issues.map((i) => `${i.field}: ${i.message}`).join("; "),
+      };
+    },
+  },
+];
+
+// -- Engine -------------------------------------------------------------------
+
+export function createInvariantEngine({
+  invariants = INVARIANTS,
+  thresholds = {},
+  maxHistory = 1000,
+  onTransition = () => {},
+  onBaseline = () => {},
+} = {}) {
+  const checks = invariants.map((inv) => ({
+    ...inv,
+    threshold: thresholds[inv.id] ?? inv.threshold,
+    state: {},
+    persisted: {},
+    status: "unknown",
+    since: null,
+    lastEvaluated: null,
+    lastResult: null,
+    violations: 0,
+  }));
+  const history = [];
+
+  function record(event) {
+    history.push(event);
+    if (history.length > maxHistory) history.shift();
+    onTransition(event);
+  }
+
+  // Records the check's `persist` state keys when their JSON changed
+  function recordBaseline(check, timestamp) {
+    const json = (value) => JSON.stringify(value, jsonReplacer);
+    const changed = (check.persist || []).filter((key) => check.state[key] !== undefined
+      && json(check.state[key]) !== json(check.persisted[key]));
+    if (changed.length === 0) return;
+    for (const key of changed) check.persisted[key] = check.state[key];
+    onBaseline({ timestamp, id: check.id, type: "baseline", state: { ...check.persisted } });
+  }
+
+  // Reload persisted events; an invariant whose last event was "violated"
+  // stays open so a restart does not re-report it, and the latest baseline
+  // of each invariant is put back into its state. Returns the events worth
+  // keeping: every status change and only the latest baseline of each.
+  function restore(events) {
+    for (const event of events) {
+      if (event.type !== "baseline") continue;
+      const check = checks.find((c) => c.id === event.id);
+      if (!check) continue;
+      Object.assign(check.state, event.state);
+      Object.assign(check.persisted, event.state);
+    }
+    for (const event of events.filter((e) => e.type !== "baseline").slice(-maxHistory)) history.push(event);
+    for (const check of checks) {
+      const last = history.filter((e) => e.id === check.id).pop();
+      check.violations = history.filter((e) => e.id === check.id && e.type === "violated").length;
+      if (last?.type === "violated") {
+        check.status = "violated";
+        check.since = last.timestamp;
+      }
+    }
+    const latest = new Map(events.filter((e) => e.type === "baseline").map((e) => [e.id, e]));
+    return events.filter((e) => e.type !== "baseline" || latest.get(e.id) === e);
+  }
+
+  function evaluate(ctx) {
+    const timestamp = new Date().toISOString();
+    for (const check of checks) {
+      let result;
+      try {
+        result = check.check(ctx, check.state);
+      } catch (err) {
+        result = null;
+        console.log(`[supply-oracle] Invariant ${check.id} failed to evaluate: ${err.message}`);
+      }
+      recordBaseline(check, timestamp);
+      if (!result) continue;
+      check.lastEvaluated = timestamp;
+      check.lastResult = result;
+
+      const status = result.ok ? "ok" : "violated";
+      if (status === "violated" && check.status !== "violated") {
+        check.since = timestamp;
+        check.violations += 1;
+        record({ timestamp, id: check.id, severity: check.severity, type: "violated", ...result });
+      } else if (status === "ok" && check.status === "violated") {
+        record({ timestamp, id: check.id, severity: check.severity, type: "resolved", since: check.since, ...result });
+        check.since = timestamp;
+      } else if (check.status === "unknown") {
+        check.since = timestamp;
+      }
+      check.status = status;
+    }
+  }
+
+  function current() {
+    return checks.map((check) => ({
+      id: check.id,
+      description: check.description,
+      severity: check.severity,
+      threshold: check.threshold,
+      status: check.status,
+      since: check.since,
+      lastEvaluated: check.lastEvaluated,
+      violations: check.violations,
+      observed: check.lastResult?.observed ?? null,
+      expected: check.lastResult?.expected ?? null,
+      message: check.lastResult?.message ?? null,
+    }));
+  }
+
+  return {
+    evaluate,
+    restore,
+    current,
+    history: () => [...history],
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Versioned borsh layouts for MYTH token program accounts.
+ *
+ * Each account family lists its known layouts. A layout matches either by an
+ * optional leading discriminator or by exact account size; accounts that
+ * match no layout throw instead of being parsed with the wrong offsets. Add
+ * a new entry (with a higher version) whenever the program changes a layout.
+ *
+ * u64 fields decode to BigInt and stay BigInt (see amounts.js).
+ */
+
+import { deserialize } from "borsh";
+import { PublicKey } from "@solana/web3.js";
+
+const pubkey = { array: { type: "u8", len: 32 } };
+const feeSplit = { struct: { validatorBps: "u16", foundationBps: "u16", burnBps: "u16" } };
+
+export const FEE_SPLIT_TOTAL_BPS = 10000;
+
+// -- FeeConfig ----------------------------------------------------------------
+
+export const FEE_CONFIG_LAYOUTS = [
+  {
+    version: 1,
+    size: 235,
+    schema: {
+      struct: {
+        isInitialized: "bool",
+        admin: pubkey,
+        foundationWallet: pubkey,
+        burnAddress: pubkey,
+        mythMint: pubkey,
+        gasSplit: feeSplit,
+        computeSplit: feeSplit,
+        inferenceSplit: feeSplit,
+        bridgeSplit: feeSplit,
+        currentEpoch: "u64",
+        totalBurned: "u64",
+        totalDistributed: "u64",
+        totalFoundationCollected: "u64",
+        isPaused: "bool",
+        bump: "u8",
+        gasBurned: "u64",
+        computeBurned: "u64",
+        inferenceBurned: "u64",
+        bridgeBurned: "u64",
+        subnetBurned: "u64",
+        totalFoundationBurned: "u64",
+      },
+    },
+  },
+];
+
+export const FEE_CONFIG_SPLITS = ["gasSplit", "computeSplit", "inferenceSplit", "bridgeSplit"];
+
+// -- ValidatorFeeAccount ------------------------------------------------------
+
+export const VALIDATOR_FEE_ACCOUNT_LAYOUTS = [
+  {
+    version: 1,
+    size: 69,
+    schema: {
+      struct: {
+        validator: pubkey,
+        stakeAmount: "u64",
+        aiCapable: "bool",
+        rewardMultiplier: "u16",
+        pendingRewards: "u64",
+        totalClaimed: "u64",
+        registeredAt: "i64",
+        isActive: "bool",
+        bump: "u8",
+      },
+    },
+  },
+];
+
+// -- SPL Token ----------------------------------------------------------------
+
+// Mints and token accounts use fixed offsets (COption fields are not borsh).
+// Token-2022 keeps the same prefix and appends extensions, so only a
+// minimum size is checked.
+export const SPL_MINT_SIZE = 82;
+export const SPL_TOKEN_ACCOUNT_SIZE = 165;
+
+export function decodeMint(data) {
+  const buf = Buffer.from(data);
+  if (buf.length < SPL_MINT_SIZE) throw new Error(`Not an SPL mint: ${buf.length} bytes`);
+  return {
+    supply: buf.readBigUInt64LE(36),
+    decimals: buf.readUInt8(44),
+    isInitialized: buf.readUInt8(45) === 1,
+  };
+}
+
+export function decodeTokenAccount(data) {
+  const buf = Buffer.from(data);
+  if (buf.length < SPL_TOKEN_ACCOUNT_SIZE) throw new Error(`Not an SPL token account: ${buf.length} bytes`);
+  return {
+    mint: new PublicKey(buf.subarray(0, 32)).toBase58(),
+    owner: new PublicKey(buf.subarray(32, 64)).toBase58(),
+    amount: buf.readBigUInt64LE(64),
+  };
+}
+
+// -- Decoding -----------------------------------------------------------------
+
+export function detectLayout(layouts, data) {
+  const buf = Buffer.from(data);
+  for (const layout of layouts) {
+    if (layout.discriminator) {
+      if (buf.subarray(0, layout.discriminator.length).equals(Buffer.from(layout.discriminator))) return layout;
+    } else if (buf.length === layout.size) {
+      return layout;
+    }
+  }
+  return null;
+}
+
+function decodeWith(name, layouts, data) {
+  const layout = detectLayout(layouts, data);
+  if (!layout) {
+    const sizes = layouts.map((l) => l.size).filter(Boolean).join(", ");
+    throw new Error(`Unknown ${name} layout: ${data.length} bytes (known sizes: ${sizes})`);
+  }
+  const body = Buffer.from(data).subarray(layout.discriminator?.length || 0);
+  const decoded = deserialize(layout.schema, body);
+  for (const [key, type] of Object.entries(layout.schema.struct)) {
+    if (type === pubkey) decoded[key] = new PublicKey(Uint8Array.from(decoded[key])).toBase58();
+  }
+  return { layoutVersion: layout.version, ...decoded };
+}
+
+// Returns null for an uninitialized FeeConfig; throws on unknown layouts.
+export function decodeFeeConfig(data) {
+  const config = decodeWith("FeeConfig", FEE_CONFIG_LAYOUTS, data);
+  if (!config.isInitialized) return null;
+  config.currentEpoch = Number(config.currentEpoch);
+  return config;
+}
+
+export function decodeValidatorFeeAccount(data) {
+  const account = decodeWith("ValidatorFeeAccount", VALIDATOR_FEE_ACCOUNT_LAYOUTS, data);
+  account.registeredAt = Number(account.registeredAt);
+  return account;
+}
+
+// -- Validation ---------------------------------------------------------------
+
+export function validateFeeConfig(config, { expectedMint } = {}) {
+  const issues = [];
+  for (const name of FEE_CONFIG_SPLITS) {
+    const split = config[name];
+    const total = split.validatorBps + split.foundationBps + split.burnBps;
+    if (total !== FEE_SPLIT_TOTAL_BPS) {
+      issues.push({ field: name, message: `splits sum to ${total} bps, expected ${FEE_SPLIT_TOTAL_BPS}` });
+    }
+  }
+  const categories = config.gasBurned + config.computeBurned + config.inferenceBurned + config.bridgeBurned + config.subnetBurned;
+  if (categories > config.totalBurned) {
+    issues.push({ field: "totalBurned", message: `per-category burns (${categories}) exceed totalBurned (${config.totalBurned})` });
+  }
+  if (expectedMint && config.mythMint !== expectedMint) {
+    issues.push({ field: "mythMint", message: `mint ${config.mythMint} does not match configured ${expectedMint}` });
+  }
+  return issues;
+}
+
+export function validateValidatorFeeAccount(account, now = Date.now()) {
+  const issues = [];
+  if (account.rewardMultiplier === 0) issues.push({ field: "rewardMultiplier", message: "reward multiplier is 0" });
+  if (account.registeredAt * 1000 > now) issues.push({ field: "registeredAt", message: "registration time is in the future" });
+  return issues;
+}
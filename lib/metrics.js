@@ -0,0 +1,128 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * Counters and histograms are updated as things happen; gauges may instead
+ * take a collect() callback evaluated on every scrape, returning a number or
+ * a list of { labels, value } samples. Samples with a null/NaN value are
+ * omitted rather than exported as 0.
+ */
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function createMetricsRegistry({ prefix = "" } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, extra = {}) {
+    const metric = { type, name: prefix + name, help, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, init) {
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+    return metric.series.get(key);
+  }
+
+  function counter(name, help) {
+    const metric = register("counter", name, help);
+    return {
+      inc(labels = {}, value = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  function gauge(name, help, collect = null) {
+    const metric = register("gauge", name, help, { collect });
+    return {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register("histogram", name, help, { buckets });
+    return {
+      observe(labels, value) {
+        const s = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i] += 1;
+        });
+        s.sum += value;
+        s.count += 1;
+      },
+    };
+  }
+
+  function samplesOf(metric) {
+    if (!metric.collect) return [...metric.series.values()];
+    const collected = metric.collect();
+    if (typeof collected === "number" || collected === null) return [{ labels: {}, value: collected }];
+    return collected;
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      if (metric.type === "histogram") {
+        for (const s of metric.series.values()) {
+          metric.buckets.forEach((le, i) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        continue;
+      }
+      for (const { labels, value } of samplesOf(metric)) {
+        if (value === null || value === undefined || Number.isNaN(value)) continue;
+        lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(Number(value))}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Runs fn, recording its latency and success/failure. A result counts as a
+// failure when isFailure(result) is true or fn throws (the error is rethrown).
+export async function instrument(fetcher, fn, { duration, total }, isFailure = (r) => r === null || Boolean(r?.error)) {
+  const started = process.hrtime.bigint();
+  let failed = true;
+  try {
+    const result = await fn();
+    failed = isFailure(result);
+    return result;
+  } finally {
+    duration.observe({ fetcher }, Number(process.hrtime.bigint() - started) / 1e9);
+    total.inc({ fetcher, result: failed ? "failure" : "success" });
+  }
+}
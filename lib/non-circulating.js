@@ -0,0 +1,209 @@
+/**
+ * Non-circulating address registry.
+ *
+ * Declarative list of accounts whose balances are held out of circulating
+ * supply. Loaded from config/non-circulating.json (override the path with
+ * NON_CIRCULATING_CONFIG). Each entry:
+ *
+ *   label     human readable name
+ *   chain     "l1" | "l2"
+ *   address   base58 account address
+ *   source    how the balance is read:
+ *               native         account lamports (9 decimals)
+ *               token-account  balance of an SPL token account
+ *               token-owner    sum of the owner's token accounts for the chain's MYTH mint
+ *               fee-config     FeeConfig totalBurned counter
+ *   kind      treasury | bridge | vesting | burn | other
+ *   excluded  true if the balance is subtracted from circulating supply
+ *   reason    why the account is (or is not) excluded
+ *
+ * native and token-account balances are read from the poll's batched
+ * account read (see accounts.js) when it includes them.
+ */
+
+import { PublicKey } from "@solana/web3.js";
+import fs from "fs";
+import { withTimeout } from "./util.js";
+import { NATIVE_DECIMALS, SUPPLY_RAW_DECIMALS, scaleRaw, rawToUi, fetchLamports } from "./amounts.js";
+import { nativeBalanceRaw, tokenBalanceRaw, mintDecimals } from "./accounts.js";
+import { decodeTokenAccount } from "./layouts.js";
+
+const CHAINS = ["l1", "l2"];
+const SOURCES = ["native", "token-account", "token-owner", "fee-config"];
+const KINDS = ["treasury", "bridge", "vesting", "burn", "other"];
+
+// -- Loading ------------------------------------------------------------------
+
+function validateEntry(entry, index) {
+  const where = `non-circulating entry #${index}${entry?.label ? ` (${entry.label})` : ""}`;
+  if (!entry || typeof entry !== "object") throw new Error(`${where}: must be an object`);
+  if (!entry.label) throw new Error(`${where}: missing label`);
+  if (!CHAINS.includes(entry.chain)) throw new Error(`${where}: chain must be one of ${CHAINS.join(", ")}`);
+  if (!SOURCES.includes(entry.source)) throw new Error(`${where}: source must be one of ${SOURCES.join(", ")}`);
+  if (!KINDS.includes(entry.kind)) throw new Error(`${where}: kind must be one of ${KINDS.join(", ")}`);
+  try {
+    new PublicKey(entry.address);
+  } catch {
+    throw new Error(`${where}: invalid address ${entry.address}`);
+  }
+  return {
+    label: entry.label,
+    chain: entry.chain,
+    address: entry.address,
+    source: entry.source,
+    kind: entry.kind,
+    excluded: entry.excluded !== false,
+    reason: entry.reason || null,
+  };
+}
+
+export function loadNonCirculatingRegistry(file) {
+  if (!fs.existsSync(file)) {
+    console.log(`[supply-oracle] No non-circulating registry at ${file}, circulating = total supply`);
+    return [];
+  }
+  const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const accounts = Array.isArray(parsed) ? parsed : parsed.accounts;
+  if (!Array.isArray(accounts)) throw new Error(`${file}: expected an "accounts" array`);
+
+  const registry = accounts.map(validateEntry);
+  const seen = new Set();
+  for (const entry of registry) {
+    const key = `${entry.chain}:${entry.address}`;
+    if (seen.has(key)) throw new Error(`${file}: duplicate entry for ${key}`);
+    seen.add(key);
+  }
+  console.log(`[supply-oracle] Loaded ${registry.length} non-circulating registry entries`);
+  return registry;
+}
+
+// -- Balance fetching ---------------------------------------------------------
+
+// Addresses on `chain` whose balances can come from a batched account read
+export function prefetchAddresses(registry, chain) {
+  return registry
+    .filter((e) => e.chain === chain && (e.source === "native" || e.source === "token-account"))
+    .map((e) => e.address);
+}
+
+const rawDecimalsOf = (ctx) => ctx.rawDecimals ?? SUPPLY_RAW_DECIMALS;
+
+// Balance computable without RPC: fee-config entries and entries in the
+// chain's batch (ctx.accounts[chain]). undefined for anything else.
+function batchedBalanceRaw(entry, ctx) {
+  if (entry.source === "fee-config") return ctx.burnedRaw;
+  const batch = ctx.accounts?.[entry.chain];
+  if (!batch?.has(entry.address)) return undefined;
+  if (entry.source === "native") return nativeBalanceRaw(batch, entry.address);
+  if (entry.source === "token-account") {
+    return tokenBalanceRaw(batch, entry.address, entry.chain === "l1" ? ctx.l1Mint : ctx.l2Mint, rawDecimalsOf(ctx));
+  }
+  return undefined;
+}
+
+// Balance in base units normalized to ctx.rawDecimals (the token's base
+// unit, SUPPLY_RAW_DECIMALS for MYTH).
+// ctx.accounts[chain] is the poll's batch (null if that read failed) and
+// ctx.slots[chain] its slot, used to pin reads made outside the batch.
+async function readBalanceRaw(entry, ctx) {
+  const batched = batchedBalanceRaw(entry, ctx);
+  if (batched !== undefined) return batched;
+
+  const rawDecimals = rawDecimalsOf(ctx);
+  const pool = entry.chain === "l1" ? ctx.l1Pool : ctx.l2Pool;
+  const mintAddress = entry.chain === "l1" ? ctx.l1Mint : ctx.l2Mint;
+  const batch = ctx.accounts?.[entry.chain];
+  const minContextSlot = ctx.slots?.[entry.chain] ?? undefined;
+  if (entry.source === "native") {
+    return scaleRaw(await pool.call(({ url }) => fetchLamports(url, entry.address)), NATIVE_DECIMALS, rawDecimals);
+  }
+
+  const pubkey = new PublicKey(entry.address);
+  const fromTokenAmount = ({ amount, decimals }) => scaleRaw(BigInt(amount), decimals, rawDecimals);
+
+  if (entry.source === "token-account") {
+    const info = await pool.call(({ connection }) => withTimeout(connection.getParsedAccountInfo(pubkey), 8000));
+    if (!info.value) return 0n;
+    if (!("parsed" in info.value.data)) throw new Error("not a token account");
+    return fromTokenAmount(info.value.data.parsed.info.tokenAmount);
+  }
+
+  const mint = new PublicKey(mintAddress);
+  if (batch?.has(mintAddress)) {
+    // Pinned to the batch slot, with decimals from the batched mint
+    const decimals = mintDecimals(batch, mintAddress);
+    const resp = await pool.call(({ connection }) => withTimeout(
+      connection.getTokenAccountsByOwner(pubkey, { mint }, { minContextSlot }),
+      8000,
+    ));
+    return resp.value.reduce(
+      (sum, { account }) => sum + scaleRaw(decodeTokenAccount(account.data).amount, decimals, rawDecimals),
+      0n,
+    );
+  }
+  const resp = await pool.call(({ connection }) => withTimeout(connection.getParsedTokenAccountsByOwner(pubkey, { mint }), 8000));
+  return resp.value.reduce(
+    (sum, { account }) => sum + fromTokenAmount(account.data.parsed.info.tokenAmount),
+    0n,
+  );
+}
+
+// Fetch live balances for every registry entry. A failed read keeps the
+// previous balance for that entry and reports the error alongside it.
+export async function fetchNonCirculatingBalances(registry, ctx, previous = []) {
+  const prevByKey = new Map(previous.map((e) => [`${e.chain}:${e.address}`, e]));
+
+  return Promise.all(registry.map(async (entry) => {
+    const prev = prevByKey.get(`${entry.chain}:${entry.address}`);
+    try {
+      const balanceRaw = await readBalanceRaw(entry, ctx);
+      return {
+        ...entry,
+        balance: rawToUi(balanceRaw, rawDecimalsOf(ctx)),
+        balanceRaw,
+        error: null,
+        lastUpdated: new Date().toISOString(),
+      };
+    } catch (err) {
+      return {
+        ...entry,
+        balance: prev?.balance ?? 0,
+        balanceRaw: prev?.balanceRaw ?? 0n,
+        error: err.message,
+        lastUpdated: prev?.lastUpdated ?? null,
+      };
+    }
+  }));
+}
+
+// Recomputes the balances that need no RPC (see batchedBalanceRaw) after
+// the batch or burn counter changed; every other entry is kept as is.
+export function refreshBatchedBalances(balances, ctx) {
+  return balances.map((entry) => {
+    try {
+      const balanceRaw = batchedBalanceRaw(entry, ctx);
+      if (balanceRaw === undefined) return entry;
+      return {
+        ...entry,
+        balance: rawToUi(balanceRaw, rawDecimalsOf(ctx)),
+        balanceRaw,
+        error: null,
+        lastUpdated: new Date().toISOString(),
+      };
+    } catch (err) {
+      return { ...entry, error: err.message };
+    }
+  });
+}
+
+// Totals of the excluded balances, in the balances' base units.
+export function summarizeNonCirculating(balances) {
+  const byKindRaw = {};
+  let totalExcludedRaw = 0n;
+  for (const entry of balances) {
+    if (!entry.excluded) continue;
+    byKindRaw[entry.kind] = (byKindRaw[entry.kind] || 0n) + entry.balanceRaw;
+    totalExcludedRaw += entry.balanceRaw;
+  }
+  return { totalExcludedRaw, byKindRaw };
+}
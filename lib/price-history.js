@@ -0,0 +1,60 @@
+/**
+ * Price averages over the recorded snapshots.
+ *
+ * TWAP weights each sample's price by how long it was the latest quote
+ * (until the next sample or the end of the window). VWAP additionally
+ * weights by the rolling 24h volume reported at each sample, since the
+ * sources only publish rolling volume rather than per-interval trades.
+ * Windows older than the raw retention are averaged over hourly closes.
+ */
+
+import { querySamples } from "./storage.js";
+
+export const PRICE_FIELDS = ["price", "volume24h", "liquidity", "marketCap"];
+
+const UNITS = { m: 60000, h: 3600000, d: 86400000 };
+const MAX_WINDOW_MS = 365 * UNITS.d;
+
+export function parseWindow(value) {
+  const match = /^(\d+)([mhd])$/.exec(value || "");
+  if (!match) throw new Error(`Invalid window: ${value} (expected e.g. 15m, 1h, 7d)`);
+  const ms = parseInt(match[1], 10) * UNITS[match[2]];
+  if (ms <= 0 || ms > MAX_WINDOW_MS) throw new Error(`Invalid window: ${value} (max 365d)`);
+  return ms;
+}
+
+// Time-weighted and volume-weighted average price over [from, to]. Returns
+// null when no priced sample falls in the window.
+export function averagePrice(from, to) {
+  const samples = [...querySamples(from, to)].filter((s) => s.price !== null && s.price !== undefined);
+  if (samples.length === 0) return null;
+
+  let timeWeight = 0;
+  let timeWeighted = 0;
+  let volumeWeight = 0;
+  let volumeWeighted = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const start = Math.max(samples[i].timestamp, from);
+    const end = i + 1 < samples.length ? samples[i + 1].timestamp : to;
+    const dt = Math.max(end - start, 0);
+    timeWeight += dt;
+    timeWeighted += samples[i].price * dt;
+    const volume = samples[i].volume24h || 0;
+    volumeWeight += volume * dt;
+    volumeWeighted += samples[i].price * volume * dt;
+  }
+
+  // reduce rather than spreading: a long window has too many samples for
+  // Math.max's arguments
+  const high = samples.reduce((max, s) => (s.price > max ? s.price : max), -Infinity);
+  const low = samples.reduce((min, s) => (s.price < min ? s.price : min), Infinity);
+  return {
+    twap: timeWeight > 0 ? timeWeighted / timeWeight : samples[samples.length - 1].price,
+    vwap: volumeWeight > 0 ? volumeWeighted / volumeWeight : null,
+    high,
+    low,
+    samples: samples.length,
+    coverageMs: to - samples[0].timestamp,
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Multi-source price aggregation.
+ *
+ * Every update polls all configured sources and keeps the latest quote per
+ * source (DexScreener contributes one quote per pair). Quotes older than
+ * maxAgeMs are expired. The remaining quotes are compared against their
+ * median; anything deviating by more than outlierPct is rejected. The
+ * published price is the weighted mean of the accepted quotes, weighted by
+ * pool liquidity or equally.
+ *
+ * confidence (0..1) = coverage * agreement * depth
+ *   coverage   accepted quotes / fresh quotes
+ *   agreement  1 - (spread of accepted quotes / outlierPct), floored at 0
+ *   depth      distinct accepted sources / minSources, capped at 1
+ */
+
+// -- Sources ------------------------------------------------------------------
+
+export async function fetchDexScreenerQuotes(mint, { maxPairs = 5, minLiquidityUsd = 0 } = {}) {
+  try {
+    const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
+    if (!res.ok) return null;
+    const data = await res.json();
+    if (!data.pairs || data.pairs.length === 0) return null;
+    return data.pairs
+      .filter((pair) => (pair.liquidity?.usd || 0) >= minLiquidityUsd)
+      .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))
+      .slice(0, maxPairs)
+      .map((pair) => ({
+        id: `dexscreener:${pair.pairAddress}`,
+        source: "dexscreener",
+        usd: parseFloat(pair.priceUsd) || null,
+        sol: parseFloat(pair.priceNative) || null,
+        marketCap: pair.marketCap || null,
+        volume24h: pair.volume?.h24 || null,
+        priceChange24h: pair.priceChange?.h24 || null,
+        fdv: pair.fdv || null,
+        liquidity: pair.liquidity?.usd || null,
+        pairAddress: pair.pairAddress,
+        dexId: pair.dexId,
+      }));
+  } catch { return null; }
+}
+
+export async function fetchJupiterQuote(mint) {
+  try {
+    const res = await fetch(`https://api.jup.ag/price/v2?ids=${mint}`);
+    if (!res.ok) return null;
+    const data = await res.json();
+    const tokenData = data.data?.[mint];
+    if (!tokenData) return null;
+    return { id: "jupiter", source: "jupiter", usd: parseFloat(tokenData.price) || null, liquidity: null };
+  } catch { return null; }
+}
+
+export async function fetchPumpFunQuote(mint, canonicalTotal) {
+  try {
+    const res = await fetch(`https://frontend-api.pump.fun/coins/${mint}`);
+    if (!res.ok) return null;
+    const data = await res.json();
+    return {
+      id: "pumpfun",
+      source: "pumpfun",
+      usd: data.usd_market_cap ? data.usd_market_cap / canonicalTotal : null,
+      marketCap: data.usd_market_cap || null,
+      liquidity: null,
+      pumpfun: {
+        bondingCurveComplete: data.complete || null,
+        replyCount: data.reply_count || null,
+        website: data.website || null,
+      },
+    };
+  } catch { return null; }
+}
+
+// -- Aggregation --------------------------------------------------------------
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function spreadOf(values, reference) {
+  if (values.length < 2 || !reference) return 0;
+  return (Math.max(...values) - Math.min(...values)) / reference;
+}
+
+export function createPriceAggregator({
+  sources,
+  maxAgeMs = 120000,
+  outlierPct = 0.1,
+  weighting = "liquidity",
+  minSources = 2,
+  maxEvents = 100,
+  onEvent = () => {},
+}) {
+  const quotes = new Map();
+  const lastStatus = new Map();
+  const events = [];
+  let current = null;
+
+  function logEvent(event) {
+    const entry = { timestamp: new Date().toISOString(), ...event };
+    events.push(entry);
+    if (events.length > maxEvents) events.shift();
+    onEvent(entry);
+  }
+
+  function weightOf(quote, fallbackLiquidity) {
+    if (weighting !== "liquidity") return 1;
+    return quote.liquidity || fallbackLiquidity;
+  }
+
+  function aggregate(now) {
+    for (const [id, quote] of quotes) {
+      if (now - quote.fetchedAt > maxAgeMs * 10) quotes.delete(id);
+    }
+
+    const all = [...quotes.values()];
+    const fresh = all.filter((q) => now - q.fetchedAt <= maxAgeMs && q.usd > 0);
+    if (fresh.length === 0) {
+      if (current && !current.stale) logEvent({ type: "stale", detail: "no fresh quotes" });
+      return {
+        usd: current?.usd ?? null,
+        stale: true,
+        confidence: 0,
+        spread: null,
+        median: null,
+        primary: null,
+        quotes: all.map((q) => ({ ...q, status: "expired", deviation: null })),
+      };
+    }
+
+    const mid = median(fresh.map((q) => q.usd));
+    let annotated = all.map((q) => {
+      if (!fresh.includes(q)) return { ...q, status: "expired", deviation: null };
+      const deviation = Math.abs(q.usd - mid) / mid;
+      return { ...q, status: deviation > outlierPct ? "rejected" : "accepted", deviation };
+    });
+
+    // No quote near the median (e.g. two clusters far apart): anchor on the
+    // deepest quote and accept whatever agrees with it.
+    const known = fresh.map((q) => q.liquidity).filter(Boolean);
+    const fallbackLiquidity = known.length > 0 ? Math.min(...known) : 1;
+    if (!annotated.some((q) => q.status === "accepted")) {
+      const deepest = fresh.reduce((a, b) => (weightOf(b, fallbackLiquidity) > weightOf(a, fallbackLiquidity) ? b : a));
+      annotated = annotated.map((q) => {
+        if (q.status === "expired") return q;
+        const deviation = Math.abs(q.usd - deepest.usd) / deepest.usd;
+        return { ...q, status: deviation > outlierPct ? "rejected" : "accepted", deviation };
+      });
+    }
+
+    const accepted = annotated.filter((q) => q.status === "accepted");
+    for (const q of annotated) {
+      if (q.status === "rejected" && lastStatus.get(q.id) !== "rejected") {
+        logEvent({ type: "rejected", source: q.id, usd: q.usd, median: mid, deviation: q.deviation });
+      }
+      lastStatus.set(q.id, q.status);
+    }
+
+    let weightSum = 0;
+    let weighted = 0;
+    for (const q of accepted) {
+      const w = weightOf(q, fallbackLiquidity);
+      weightSum += w;
+      weighted += q.usd * w;
+    }
+    const usd = weighted / weightSum;
+    const primary = accepted.reduce((a, b) => (weightOf(b, fallbackLiquidity) > weightOf(a, fallbackLiquidity) ? b : a));
+
+    const acceptedSpread = spreadOf(accepted.map((q) => q.usd), usd);
+    const coverage = accepted.length / fresh.length;
+    const agreement = Math.max(0, 1 - acceptedSpread / outlierPct);
+    const depth = Math.min(1, new Set(accepted.map((q) => q.source)).size / minSources);
+
+    return {
+      usd,
+      stale: false,
+      confidence: Math.round(coverage * agreement * depth * 100) / 100,
+      spread: spreadOf(fresh.map((q) => q.usd), mid),
+      median: mid,
+      primary,
+      quotes: annotated,
+    };
+  }
+
+  async function update() {
+    const results = await Promise.all(sources.map((s) => s.fetch()));
+    const now = Date.now();
+    for (const result of results) {
+      if (!result) continue;
+      for (const quote of Array.isArray(result) ? result : [result]) {
+        if (quote.usd > 0) quotes.set(quote.id, { ...quote, fetchedAt: now });
+      }
+    }
+
+    const next = aggregate(now);
+    const prevSource = current?.primary?.source ?? null;
+    const nextSource = next.primary?.source ?? null;
+    if (prevSource && nextSource && prevSource !== nextSource) {
+      logEvent({ type: "failover", from: prevSource, to: nextSource });
+    }
+    current = next;
+    return current;
+  }
+
+  return {
+    update,
+    current: () => current,
+    events: () => [...events],
+    settings: { maxAgeMs, outlierPct, weighting, minSources },
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * RPC endpoint pools with health scoring, failover and quorum reads.
+ *
+ * Each chain is configured with a list of RPC URLs. Every endpoint keeps a
+ * score (lower is better) from three signals:
+ *
+ *   latency    EWMA of request latency in ms
+ *   errors     EWMA of the failure rate (0..1), weighted errorPenaltyMs
+ *   slot lag   slots behind the most advanced endpoint, weighted slotPenaltyMs
+ *
+ * call(fn) runs fn({ url, connection }) against the best-scored endpoint and
+ * fails over to the next on error. Endpoints with maxConsecutiveFailures in a
+ * row sit out cooldownMs unless every endpoint is cooling down.
+ *
+ * quorum(fn, { size, equals }) requires `size` endpoints to return values
+ * that agree (equals(a, b)) and returns the agreeing value from the
+ * best-scored endpoint; it throws rather than trust a single node.
+ *
+ * A background probe (getSlot on every endpoint) keeps slot lag and latency
+ * current for endpoints that are not being used.
+ */
+
+import { Connection } from "@solana/web3.js";
+import { withTimeout } from "./util.js";
+
+const LATENCY_ALPHA = 0.3;
+const ERROR_ALPHA = 0.2;
+
+// Hide credentials in API-key style URLs (path segments, query strings)
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.length > 1 ? "/***" : "";
+    return `${parsed.protocol}//${parsed.host}${path}${parsed.search ? "?***" : ""}`;
+  } catch {
+    return "***";
+  }
+}
+
+// Parses "url1,url2" with a single-URL fallback
+export function parseRpcUrls(list, fallback) {
+  const urls = (list || "").split(",").map((u) => u.trim()).filter(Boolean);
+  return urls.length > 0 ? [...new Set(urls)] : [fallback];
+}
+
+export function createRpcPool({
+  chain,
+  urls,
+  commitment = "confirmed",
+  errorPenaltyMs = 5000,
+  slotPenaltyMs = 400,
+  maxConsecutiveFailures = 3,
+  cooldownMs = 30000,
+  probeIntervalMs = 30000,
+  probeTimeoutMs = 5000,
+}) {
+  const endpoints = urls.map((url) => ({
+    url,
+    connection: new Connection(url, commitment),
+    latencyMs: null,
+    errorRate: 0,
+    slot: null,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    requests: 0,
+    failures: 0,
+    lastError: null,
+    lastSuccessAt: null,
+  }));
+  let selected = null;
+  let failovers = 0;
+  let probeTimer = null;
+
+  function maxSlot() {
+    return endpoints.reduce((max, e) => Math.max(max, e.slot ?? 0), 0);
+  }
+
+  function slotLag(endpoint) {
+    return endpoint.slot === null ? null : maxSlot() - endpoint.slot;
+  }
+
+  function score(endpoint) {
+    return (endpoint.latencyMs ?? 1000)
+      + endpoint.errorRate * errorPenaltyMs
+      + (slotLag(endpoint) ?? 0) * slotPenaltyMs;
+  }
+
+  // Best first; cooling-down endpoints go last instead of being dropped
+  function ranked(now = Date.now()) {
+    return [...endpoints].sort((a, b) => {
+      const coolA = a.cooldownUntil > now;
+      const coolB = b.cooldownUntil > now;
+      if (coolA !== coolB) return coolA ? 1 : -1;
+      return score(a) - score(b);
+    });
+  }
+
+  function recordSuccess(endpoint, latencyMs) {
+    endpoint.requests += 1;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs + LATENCY_ALPHA * (latencyMs - endpoint.latencyMs);
+    endpoint.errorRate *= 1 - ERROR_ALPHA;
+    endpoint.consecutiveFailures = 0;
+    endpoint.lastSuccessAt = new Date().toISOString();
+  }
+
+  function recordFailure(endpoint, err) {
+    endpoint.requests += 1;
+    endpoint.failures += 1;
+    endpoint.errorRate += ERROR_ALPHA * (1 - endpoint.errorRate);
+    endpoint.consecutiveFailures += 1;
+    endpoint.lastError = err.message;
+    if (endpoint.consecutiveFailures >= maxConsecutiveFailures) {
+      endpoint.cooldownUntil = Date.now() + cooldownMs;
+    }
+  }
+
+  async function run(endpoint, fn) {
+    const started = Date.now();
+    try {
+      const result = await fn({ url: endpoint.url, connection: endpoint.connection });
+      recordSuccess(endpoint, Date.now() - started);
+      return result;
+    } catch (err) {
+      recordFailure(endpoint, err);
+      throw err;
+    }
+  }
+
+  function select(endpoint) {
+    if (selected !== endpoint.url) {
+      if (selected !== null) {
+        console.log(`[supply-oracle] ${chain} RPC now using ${redactUrl(endpoint.url)}`);
+      }
+      selected = endpoint.url;
+    }
+  }
+
+  async function call(fn) {
+    const errors = [];
+    let lastError = null;
+    for (const endpoint of ranked()) {
+      try {
+        const result = await run(endpoint, fn);
+        if (errors.length > 0) failovers += 1;
+        select(endpoint);
+        return result;
+      } catch (err) {
+        lastError = err;
+        errors.push(`${redactUrl(endpoint.url)}: ${err.message}`);
+      }
+    }
+    if (endpoints.length === 1) throw lastError;
+    throw new Error(`all ${chain} RPCs failed (${errors.join("; ")})`);
+  }
+
+  async function quorum(fn, { size = 2, equals = (a, b) => a === b } = {}) {
+    if (size <= 1) return call(fn);
+    if (endpoints.length < size) {
+      throw new Error(`${chain} quorum of ${size} needs at least ${size} RPC endpoints (have ${endpoints.length})`);
+    }
+
+    // Ask the best `size` endpoints at once, then one more at a time until
+    // some value has `size` matching answers
+    const order = ranked();
+    const answers = [];
+    const errors = [];
+    const ask = async (endpoint) => {
+      try {
+        answers.push({ endpoint, value: await run(endpoint, fn) });
+      } catch (err) {
+        errors.push(`${redactUrl(endpoint.url)}: ${err.message}`);
+      }
+    };
+    const agreeing = () => {
+      for (const a of answers) {
+        const group = answers.filter((b) => equals(a.value, b.value));
+        if (group.length >= size) return group;
+      }
+      return null;
+    };
+
+    await Promise.all(order.slice(0, size).map(ask));
+    let next = size;
+    let group = agreeing();
+    while (!group && next < order.length) {
+      await ask(order[next]);
+      next += 1;
+      group = agreeing();
+    }
+    if (!group) {
+      const detail = errors.length > 0 ? `; errors: ${errors.join("; ")}` : "";
+      throw new Error(`${chain} quorum not reached: ${answers.length} answers, none ${size} in agreement${detail}`);
+    }
+    const best = order.find((e) => group.some((g) => g.endpoint === e));
+    select(best);
+    return group.find((g) => g.endpoint === best).value;
+  }
+
+  async function probe() {
+    await Promise.all(endpoints.map(async (endpoint) => {
+      try {
+        endpoint.slot = await run(endpoint, ({ connection }) => withTimeout(connection.getSlot(), probeTimeoutMs));
+      } catch {
+        // recorded by run()
+      }
+    }));
+  }
+
+  function start() {
+    if (probeTimer) return;
+    probe();
+    probeTimer = setInterval(probe, probeIntervalMs);
+    probeTimer.unref();
+  }
+
+  function status() {
+    const now = Date.now();
+    return {
+      chain,
+      selected: selected ? redactUrl(selected) : null,
+      failovers,
+      endpoints: ranked(now).map((e) => ({
+        url: redactUrl(e.url),
+        score: Math.round(score(e)),
+        latencyMs: e.latencyMs === null ? null : Math.round(e.latencyMs),
+        errorRate: Math.round(e.errorRate * 1000) / 1000,
+        slot: e.slot,
+        slotLag: slotLag(e),
+        healthy: e.cooldownUntil <= now,
+        consecutiveFailures: e.consecutiveFailures,
+        requests: e.requests,
+        failures: e.failures,
+        lastError: e.lastError,
+        lastSuccessAt: e.lastSuccessAt,
+      })),
+    };
+  }
+
+  return {
+    chain,
+    call,
+    quorum,
+    probe,
+    start,
+    status,
+    size: endpoints.length,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Last-known-good supply fields and sanity bounds.
+ *
+ * Every published amount read from chain passes through the guard before it
+ * reaches supplyData. A read is rejected, and the field keeps serving its
+ * last good value, when it:
+ *
+ *   failed     errored (RPC or decode)
+ *   zero       is 0 for a field that can never be 0 (the mints)
+ *   jump       moved more than maxJumpPct percent from the last good value
+ *   above-max  exceeds maxRaw on its own, or moved and pushed the sum of the
+ *              `inTotal` fields above maxTotalRaw
+ *
+ * A large move can be real (a big bridge transfer), so a read rejected only
+ * as a jump is accepted once reads agreeing with it (within the same bound)
+ * have kept coming for confirmMs. Zero and above-max reads are never
+ * accepted.
+ *
+ * A field is stale when its last good read is older than staleAfterMs, or
+ * when it has never had one.
+ *
+ * Amounts are BigInt at SUPPLY_RAW_DECIMALS.
+ */
+
+// fields: { name: { source, nonZero = false, inTotal = false } }
+export function createFieldGuard({ fields, maxJumpPct, maxRaw, maxTotalRaw, confirmMs, staleAfterMs, onReject = () => {} }) {
+  const maxJumpBps = BigInt(Math.round(maxJumpPct * 100));
+  const state = new Map(Object.keys(fields).map((name) => [name, {
+    raw: null,
+    slot: null,
+    lastGoodAt: null,
+    rejected: null, // { raw, reason, error, at } of the latest rejected read
+    pending: null, // { raw, since } jump awaiting confirmation
+  }]));
+
+  function jumped(from, to) {
+    if (from === 0n) return false;
+    const delta = to > from ? to - from : from - to;
+    return delta * 10000n > from * maxJumpBps;
+  }
+
+  function boundsReason(name, raw, s) {
+    if (fields[name].nonZero && raw === 0n) return "zero";
+    if (raw > maxRaw) return "above-max";
+    if (s.raw !== null && jumped(s.raw, raw)) return "jump";
+    return null;
+  }
+
+  function reject(name, s, rejected) {
+    s.rejected = rejected;
+    onReject(name, rejected);
+  }
+
+  // Runs one read of every field ({ name: { value, error } }, slot per field)
+  // through the bounds. Returns { name: { raw, error } } in the shape the
+  // supply code uses for fetch results: raw is the last good value (null
+  // before the first one) and error is set whenever this read was not used.
+  function apply(reads, slots, now = Date.now()) {
+    const previous = new Map([...state].map(([name, s]) => [name, { ...s }]));
+    const accepted = [];
+
+    for (const [name, { value, error }] of Object.entries(reads)) {
+      const s = state.get(name);
+      if (error) {
+        reject(name, s, { raw: null, reason: "failed", error, at: now });
+        continue;
+      }
+      let reason = boundsReason(name, value, s);
+      if (reason === "jump") {
+        s.pending = s.pending && !jumped(s.pending.raw, value) ? { raw: value, since: s.pending.since } : { raw: value, since: now };
+        if (now - s.pending.since >= confirmMs) reason = null;
+      }
+      if (reason) {
+        reject(name, s, { raw: value, reason, error: null, at: now });
+        continue;
+      }
+      Object.assign(s, { raw: value, slot: slots[name] ?? null, lastGoodAt: now, rejected: null, pending: null });
+      accepted.push(name);
+    }
+
+    // A sum above the bound is pinned on the contributing fields that moved,
+    // which all go back to their last good value
+    const totalFields = Object.keys(fields).filter((name) => fields[name].inTotal);
+    const total = totalFields.reduce((sum, name) => sum + (state.get(name).raw ?? 0n), 0n);
+    if (total > maxTotalRaw) {
+      const moved = accepted.filter((name) => fields[name].inTotal && state.get(name).raw !== previous.get(name).raw);
+      for (const name of moved) {
+        const s = state.get(name);
+        const { raw } = s;
+        Object.assign(s, previous.get(name));
+        reject(name, s, { raw, reason: "above-max", error: null, at: now });
+      }
+    }
+
+    return Object.fromEntries(Object.keys(reads).map((name) => {
+      const s = state.get(name);
+      const rejected = s.rejected && s.rejected.at === now ? s.rejected : null;
+      let error = null;
+      if (rejected?.reason === "failed") error = rejected.error;
+      else if (rejected) error = `rejected (${rejected.reason}): read ${rejected.raw}`;
+      return [name, { raw: s.raw, error }];
+    }));
+  }
+
+  function isStale(name, now = Date.now()) {
+    const { lastGoodAt } = state.get(name);
+    return lastGoodAt === null || now - lastGoodAt > staleAfterMs;
+  }
+
+  function status(now = Date.now()) {
+    return Object.fromEntries([...state].map(([name, s]) => [name, {
+      source: fields[name].source,
+      slot: s.slot,
+      lastGoodAt: s.lastGoodAt === null ? null : new Date(s.lastGoodAt).toISOString(),
+      ageMs: s.lastGoodAt === null ? null : now - s.lastGoodAt,
+      stale: isStale(name, now),
+      rejected: s.rejected && {
+        reason: s.rejected.reason,
+        error: s.rejected.error,
+        raw: s.rejected.raw,
+        at: new Date(s.rejected.at).toISOString(),
+      },
+      pendingSince: s.pending ? new Date(s.pending.since).toISOString() : null,
+    }]));
+  }
+
+  return {
+    apply,
+    isStale,
+    staleFields: (now = Date.now()) => Object.keys(fields).filter((name) => isStale(name, now)),
+    status,
+    staleAfterMs,
+  };
+}
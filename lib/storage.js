@@ -0,0 +1,436 @@
+/**
+ * Tiered, append-only storage for oracle samples.
+ *
+ * Layout (under STORAGE_DIR, default data/store):
+ *   raw/YYYY-MM-DD.ndjson   one JSON sample per line, one file per UTC day
+ *   rollup_1h.ndjson        finalized hourly OHLC rows, kept indefinitely
+ *   rollup_1d.ndjson        finalized daily OHLC rows, kept indefinitely
+ *   manifest.json           format version and migration record
+ *   events/<log>.ndjson     append-only event logs (e.g. invariant alerts,
+ *                           validator history)
+ *   secrets/<name>.json     secrets kept out of the event logs, mode 0600
+ *
+ * Every sample is appended and fsynced before appendSample() returns, so a
+ * crash loses at most the sample being written. A torn final line is
+ * truncated on the next start. Raw segments older than the retention window
+ * are deleted; the rollup bucket still in progress is not persisted and is
+ * rebuilt from the raw tier on start.
+ */
+
+import fs from "fs";
+import path from "path";
+import { StringDecoder } from "string_decoder";
+import { jsonReplacer } from "./amounts.js";
+
+export const TIERS = { "1h": 3600000, "1d": 86400000 };
+
+const FORMAT_VERSION = 1;
+const DAY_MS = 86400000;
+
+let storageDir = null;
+let rawRetentionMs = 7 * DAY_MS;
+
+let raw = [];
+const rollups = { "1h": [], "1d": [] };
+const pending = { "1h": null, "1d": null };
+
+let rawFd = null;
+let rawDay = null;
+
+// -- File helpers -------------------------------------------------------------
+
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function segmentPath(day) {
+  return path.join(storageDir, "raw", `${day}.ndjson`);
+}
+
+function rollupPath(tier) {
+  return path.join(storageDir, `rollup_${tier}.ndjson`);
+}
+
+// Read an NDJSON file, truncating a torn final line left by a crash.
+function readLog(file) {
+  if (!fs.existsSync(file)) return [];
+  const text = fs.readFileSync(file, "utf-8");
+  const end = text.lastIndexOf("\n") + 1;
+  if (end < text.length) {
+    fs.truncateSync(file, Buffer.byteLength(text.slice(0, end)));
+    console.log(`[supply-oracle] Truncated torn write at end of ${path.basename(file)}`);
+  }
+  const rows = [];
+  for (const line of text.slice(0, end).split("\n")) {
+    const row = parseLine(line, file);
+    if (row !== undefined) rows.push(row);
+  }
+  return rows;
+}
+
+function parseLine(line, file) {
+  if (!line) return undefined;
+  try {
+    return JSON.parse(line);
+  } catch {
+    console.log(`[supply-oracle] Skipping corrupt line in ${path.basename(file)}`);
+    return undefined;
+  }
+}
+
+// readLog() one row at a time, reading the file in chunks so a large log is
+// never held in memory whole.
+function* streamLog(file) {
+  if (!fs.existsSync(file)) return;
+  const fd = fs.openSync(file, "r");
+  const buffer = Buffer.alloc(1 << 20);
+  const decoder = new StringDecoder("utf-8");
+  let position = 0;
+  let rest = "";
+  try {
+    let read;
+    while ((read = fs.readSync(fd, buffer, 0, buffer.length, position)) > 0) {
+      position += read;
+      const lines = (rest + decoder.write(buffer.subarray(0, read))).split("\n");
+      rest = lines.pop();
+      for (const line of lines) {
+        const row = parseLine(line, file);
+        if (row !== undefined) yield row;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  rest += decoder.end();
+  if (rest) {
+    fs.truncateSync(file, position - Buffer.byteLength(rest));
+    console.log(`[supply-oracle] Truncated torn write at end of ${path.basename(file)}`);
+  }
+}
+
+function appendLine(file, row) {
+  const fd = fs.openSync(file, "a");
+  try {
+    fs.writeSync(fd, JSON.stringify(row, jsonReplacer) + "\n");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function writeRawLine(sample) {
+  const day = dayKey(sample.timestamp);
+  if (day !== rawDay) {
+    if (rawFd !== null) fs.closeSync(rawFd);
+    rawFd = fs.openSync(segmentPath(day), "a");
+    rawDay = day;
+    pruneSegments(sample.timestamp);
+  }
+  fs.writeSync(rawFd, JSON.stringify(sample) + "\n");
+  fs.fsyncSync(rawFd);
+}
+
+function pruneSegments(now) {
+  const cutoffDay = dayKey(now - rawRetentionMs);
+  for (const file of fs.readdirSync(path.join(storageDir, "raw"))) {
+    if (file.endsWith(".ndjson") && file.slice(0, 10) < cutoffDay) {
+      fs.unlinkSync(path.join(storageDir, "raw", file));
+    }
+  }
+}
+
+// -- Rollups ------------------------------------------------------------------
+
+function startBucket(tier, timestamp) {
+  return { timestamp: Math.floor(timestamp / TIERS[tier]) * TIERS[tier], samples: 0, values: {} };
+}
+
+function addToBucket(bucket, sample) {
+  bucket.samples += 1;
+  for (const [field, value] of Object.entries(sample)) {
+    if (field === "timestamp" || typeof value !== "number") continue;
+    const ohlc = bucket.values[field];
+    if (!ohlc) {
+      bucket.values[field] = [value, value, value, value];
+    } else {
+      ohlc[1] = Math.max(ohlc[1], value);
+      ohlc[2] = Math.min(ohlc[2], value);
+      ohlc[3] = value;
+    }
+  }
+}
+
+function rollSample(sample, persist) {
+  for (const tier of Object.keys(TIERS)) {
+    const start = Math.floor(sample.timestamp / TIERS[tier]) * TIERS[tier];
+    const current = pending[tier];
+    if (current && current.timestamp !== start) {
+      rollups[tier].push(current);
+      if (persist) appendLine(rollupPath(tier), current);
+      pending[tier] = null;
+    }
+    if (!pending[tier]) pending[tier] = startBucket(tier, sample.timestamp);
+    addToBucket(pending[tier], sample);
+  }
+}
+
+// -- Lifecycle ----------------------------------------------------------------
+
+function loadRaw() {
+  const cutoff = Date.now() - rawRetentionMs;
+  const files = fs.readdirSync(path.join(storageDir, "raw")).filter((f) => f.endsWith(".ndjson")).sort();
+  const samples = [];
+  for (const file of files) samples.push(...readLog(path.join(storageDir, "raw", file)));
+  samples.sort((a, b) => a.timestamp - b.timestamp);
+  pruneSegments(Date.now());
+  return samples.filter((s) => s.timestamp >= cutoff);
+}
+
+// Rebuild the in-progress buckets from raw samples newer than the last
+// finalized rollup row, finalizing any bucket that closed while we were down.
+function rebuildPending() {
+  for (const tier of Object.keys(TIERS)) {
+    const rows = rollups[tier];
+    const resumeAt = rows.length > 0 ? rows[rows.length - 1].timestamp + TIERS[tier] : -Infinity;
+    for (const sample of raw) {
+      if (sample.timestamp < resumeAt) continue;
+      const start = Math.floor(sample.timestamp / TIERS[tier]) * TIERS[tier];
+      if (pending[tier] && pending[tier].timestamp !== start) {
+        rows.push(pending[tier]);
+        appendLine(rollupPath(tier), pending[tier]);
+        pending[tier] = null;
+      }
+      if (!pending[tier]) pending[tier] = startBucket(tier, sample.timestamp);
+      addToBucket(pending[tier], sample);
+    }
+  }
+}
+
+// Import legacy single-file JSON histories (arrays of samples with a
+// millisecond `timestamp`) into the raw tier and rollups. The originals are
+// left in place; the manifest records the import so it runs only once.
+function migrateLegacy(files) {
+  const byTimestamp = new Map();
+  const migrated = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf-8") || "[]");
+      if (!Array.isArray(parsed)) continue;
+      for (const entry of parsed) {
+        if (typeof entry?.timestamp !== "number") continue;
+        byTimestamp.set(entry.timestamp, { ...byTimestamp.get(entry.timestamp), ...entry });
+      }
+      migrated.push(file);
+    } catch (err) {
+      console.log(`[supply-oracle] Could not migrate ${path.basename(file)}: ${err.message}`);
+    }
+  }
+
+  const samples = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+  const segments = new Map();
+  for (const sample of samples) {
+    const day = dayKey(sample.timestamp);
+    if (!segments.has(day)) segments.set(day, []);
+    segments.get(day).push(JSON.stringify(sample));
+    rollSample(sample, false);
+  }
+  for (const [day, lines] of segments) {
+    fs.appendFileSync(segmentPath(day), lines.join("\n") + "\n");
+  }
+  const cutoff = Date.now() - rawRetentionMs;
+  for (const tier of Object.keys(TIERS)) {
+    // The last bucket only gets finalized here if its samples are too old to
+    // be rebuilt from the raw tier on load.
+    if (pending[tier] && pending[tier].timestamp + TIERS[tier] <= cutoff) rollups[tier].push(pending[tier]);
+    if (rollups[tier].length > 0) {
+      fs.appendFileSync(rollupPath(tier), rollups[tier].map((r) => JSON.stringify(r)).join("\n") + "\n");
+    }
+    rollups[tier] = [];
+    pending[tier] = null;
+  }
+  if (samples.length > 0) {
+    console.log(`[supply-oracle] Migrated ${samples.length} samples from ${migrated.map((f) => path.basename(f)).join(", ")}`);
+  }
+  return migrated.map((f) => path.basename(f));
+}
+
+export function openStorage({ dir, retentionMs, legacyFiles = [] }) {
+  storageDir = dir;
+  rawRetentionMs = retentionMs;
+  fs.mkdirSync(path.join(dir, "raw"), { recursive: true });
+
+  const manifestFile = path.join(dir, "manifest.json");
+  if (!fs.existsSync(manifestFile)) {
+    const migrated = migrateLegacy(legacyFiles);
+    fs.writeFileSync(manifestFile, JSON.stringify({
+      version: FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      migrated,
+    }, null, 2));
+  } else {
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf-8"));
+    if (manifest.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported storage format version ${manifest.version} in ${manifestFile}`);
+    }
+  }
+
+  rollups["1h"] = readLog(rollupPath("1h"));
+  rollups["1d"] = readLog(rollupPath("1d"));
+  raw = loadRaw();
+  rebuildPending();
+
+  console.log(
+    `[supply-oracle] Storage: ${raw.length} raw samples, ${rollups["1h"].length} hourly and ${rollups["1d"].length} daily rollups`,
+  );
+}
+
+export function appendSample(sample) {
+  writeRawLine(sample);
+  raw.push(sample);
+  rollSample(sample, true);
+
+  const cutoff = sample.timestamp - rawRetentionMs;
+  let drop = 0;
+  while (drop < raw.length && raw[drop].timestamp < cutoff) drop += 1;
+  if (drop > 0) raw = raw.slice(drop);
+}
+
+export function flushStorage() {
+  if (rawFd === null) return;
+  fs.fsyncSync(rawFd);
+  fs.closeSync(rawFd);
+  rawFd = null;
+  rawDay = null;
+}
+
+// -- Event logs ---------------------------------------------------------------
+
+// Small append-only logs kept indefinitely alongside the samples.
+function eventLogPath(log) {
+  return path.join(storageDir, "events", `${log}.ndjson`);
+}
+
+export function appendEvent(log, event) {
+  fs.mkdirSync(path.join(storageDir, "events"), { recursive: true });
+  appendLine(eventLogPath(log), event);
+}
+
+export function readEvents(log) {
+  return readLog(eventLogPath(log));
+}
+
+// readEvents() as a generator, for logs too large to load at once
+export function streamEvents(log) {
+  return streamLog(eventLogPath(log));
+}
+
+// Replace a log's contents (e.g. to drop entries past their retention).
+// Written to a temp file and renamed, so a crash leaves the old or new log.
+export function rewriteEvents(log, events) {
+  fs.mkdirSync(path.join(storageDir, "events"), { recursive: true });
+  const file = eventLogPath(log);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, events.map((e) => JSON.stringify(e, jsonReplacer) + "\n").join(""));
+  const fd = fs.openSync(tmp, "r");
+  fs.fsyncSync(fd);
+  fs.closeSync(fd);
+  fs.renameSync(tmp, file);
+}
+
+// -- Secrets ------------------------------------------------------------------
+
+// Secrets (e.g. generated webhook keys) live in their own files, readable
+// only by the oracle's user, rather than in the event logs.
+function secretsPath(name) {
+  return path.join(storageDir, "secrets", `${name}.json`);
+}
+
+export function readSecrets(name) {
+  const file = secretsPath(name);
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+// Replaces the whole file through a 0600 temp file and a rename
+export function writeSecrets(name, secrets) {
+  fs.mkdirSync(path.join(storageDir, "secrets"), { recursive: true, mode: 0o700 });
+  const file = secretsPath(name);
+  const tmp = `${file}.tmp`;
+  fs.rmSync(tmp, { force: true });
+  fs.writeFileSync(tmp, JSON.stringify(secrets), { mode: 0o600 });
+  const fd = fs.openSync(tmp, "r");
+  fs.fsyncSync(fd);
+  fs.closeSync(fd);
+  fs.renameSync(tmp, file);
+}
+
+// -- Queries ------------------------------------------------------------------
+
+function lowerBound(rows, timestamp) {
+  let lo = 0;
+  let hi = rows.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (rows[mid].timestamp < timestamp) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function rollupToSample(row, index) {
+  const sample = { timestamp: row.timestamp };
+  for (const [field, ohlc] of Object.entries(row.values)) sample[field] = ohlc[index];
+  return sample;
+}
+
+// Samples in [from, to], oldest first, at the best resolution available: raw
+// samples inside the raw retention window, hourly closes before it. A
+// generator, so a long window is never copied; pruning replaces the arrays
+// rather than shifting them, so iterating the ones taken here stays valid.
+export function* querySamples(from, to) {
+  const samples = raw;
+  const hourly = rollups["1h"];
+  const rawStart = samples.length > 0 ? samples[0].timestamp : Infinity;
+  if (from < rawStart) {
+    for (let i = lowerBound(hourly, from); i < hourly.length && hourly[i].timestamp <= to && hourly[i].timestamp < rawStart; i++) {
+      yield rollupToSample(hourly[i], 3);
+    }
+  }
+  const end = lowerBound(samples, to + 1);
+  for (let i = lowerBound(samples, from); i < end; i++) yield samples[i];
+}
+
+// Rollup rows for `tier` whose bucket overlaps [from, to], including the
+// bucket still in progress. Values are [open, high, low, close].
+export function queryRollups(tier, from, to) {
+  const start = Math.floor(from / TIERS[tier]) * TIERS[tier];
+  const rows = rollups[tier];
+  const result = rows.slice(lowerBound(rows, start), lowerBound(rows, to + 1));
+  const current = pending[tier];
+  if (current && current.timestamp >= start && current.timestamp <= to) result.push(current);
+  return result;
+}
+
+// First sample at or after `timestamp` (hourly open when older than raw).
+export function firstSampleAt(timestamp) {
+  if (raw.length > 0 && timestamp >= raw[0].timestamp) return raw[lowerBound(raw, timestamp)] || null;
+  const rows = rollups["1h"];
+  const row = rows[lowerBound(rows, timestamp)];
+  if (row) return rollupToSample(row, 0);
+  return raw[0] || null;
+}
+
+export function oldestTimestamp() {
+  const candidates = [rollups["1h"][0], raw[0]].filter(Boolean).map((r) => r.timestamp);
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+}
+
+export function storageStats() {
+  return {
+    rawSamples: raw.length,
+    rawRetentionMs,
+    hourlyRollups: rollups["1h"].length + (pending["1h"] ? 1 : 0),
+    dailyRollups: rollups["1d"].length + (pending["1d"] ? 1 : 0),
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Real-time update stream over Server-Sent Events and WebSocket.
+ *
+ * After every poll the oracle hands each channel's current state to
+ * update(); the hub diffs it against the previous state (top-level keys) and
+ * publishes the changed keys as a "diff" event. A new subscriber first gets a
+ * "snapshot" of every channel it subscribes to, then diffs.
+ *
+ * Events carry a monotonically increasing id. The last bufferSize events are
+ * kept, so a client reconnecting with Last-Event-ID (SSE) or lastEventId
+ * (WebSocket) gets the diffs it missed; if the id has fallen out of the
+ * buffer it gets fresh snapshots instead.
+ *
+ * Event: { id, channel, type: "snapshot" | "diff", timestamp, data }
+ */
+
+import { WebSocketServer } from "ws";
+import { jsonReplacer } from "./amounts.js";
+
+export const STREAM_CHANNELS = ["supply", "burns", "price", "validators", "fee-oracle"];
+
+// Parses "supply,price" (or an array) into known channels; empty means all.
+export function parseChannels(value) {
+  if (value === undefined || value === null || value === "") return [...STREAM_CHANNELS];
+  const list = (Array.isArray(value) ? value : String(value).split(",")).map((c) => String(c).trim()).filter(Boolean);
+  const unknown = list.filter((c) => !STREAM_CHANNELS.includes(c));
+  if (unknown.length > 0) throw new Error(`unknown channel(s): ${unknown.join(", ")} (known: ${STREAM_CHANNELS.join(", ")})`);
+  return [...new Set(list)];
+}
+
+export function createStreamHub({ bufferSize = 1000, heartbeatMs = 15000 } = {}) {
+  const states = new Map();
+  const buffer = [];
+  const clients = new Set();
+  let seq = 0;
+
+  function eventsSince(lastEventId, channels) {
+    if (!Number.isInteger(lastEventId) || lastEventId > seq) return null;
+    if (lastEventId === seq) return [];
+    if (buffer.length === 0 || buffer[0].id > lastEventId + 1) return null;
+    return buffer.filter((e) => e.id > lastEventId && channels.has(e.channel));
+  }
+
+  function snapshot(channel) {
+    if (!states.has(channel)) return null;
+    return { id: seq, channel, type: "snapshot", timestamp: new Date().toISOString(), data: states.get(channel) };
+  }
+
+  // Sends snapshots, or the missed diffs when lastEventId is still buffered
+  function start(client, lastEventId) {
+    const missed = eventsSince(lastEventId, client.channels);
+    const events = missed ?? [...client.channels].map(snapshot).filter(Boolean);
+    for (const event of events) client.send(event);
+  }
+
+  function update(channel, state) {
+    const previous = states.get(channel);
+    states.set(channel, state);
+
+    // The first state of a channel goes out as a snapshot to clients that
+    // connected before the first poll finished
+    let type = "snapshot";
+    let data = state;
+    if (previous) {
+      type = "diff";
+      data = {};
+      for (const key of new Set([...Object.keys(previous), ...Object.keys(state)])) {
+        if (JSON.stringify(previous[key], jsonReplacer) !== JSON.stringify(state[key], jsonReplacer)) {
+          data[key] = state[key] ?? null;
+        }
+      }
+      if (Object.keys(data).length === 0) return;
+    }
+
+    seq += 1;
+    const event = { id: seq, channel, type, timestamp: new Date().toISOString(), data };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+    for (const client of clients) {
+      if (client.channels.has(channel)) client.send(event);
+    }
+  }
+
+  // -- SSE --------------------------------------------------------------------
+
+  // GET handler. ?channels=supply,burns; resume with the Last-Event-ID header
+  // (sent automatically by EventSource) or ?lastEventId=.
+  function sseHandler(req, res) {
+    let channels;
+    try {
+      channels = parseChannels(req.query.channels);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const resumeFrom = req.get("last-event-id") ?? req.query.lastEventId;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${heartbeatMs}\n\n`);
+
+    const client = {
+      channels: new Set(channels),
+      send(event) {
+        res.write(`id: ${event.id}\nevent: ${event.channel}\ndata: ${JSON.stringify(event, jsonReplacer)}\n\n`);
+      },
+    };
+    clients.add(client);
+    start(client, resumeFrom === undefined ? null : parseInt(resumeFrom, 10));
+
+    const heartbeat = setInterval(() => {
+      res.write(`event: heartbeat\ndata: ${JSON.stringify({ timestamp: new Date().toISOString(), lastEventId: seq })}\n\n`);
+    }, heartbeatMs);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  // -- WebSocket --------------------------------------------------------------
+
+  // Clients connect to `path` (?channels=, ?lastEventId=) and may send
+  //   { "op": "subscribe", "channels": [...] }    snapshot of each new channel
+  //   { "op": "unsubscribe", "channels": [...] }
+  // Heartbeats are { "type": "heartbeat" } messages plus protocol pings;
+  // connections that miss a pong are closed.
+  function attachWebSocket(server, path) {
+    const wss = new WebSocketServer({ server, path });
+
+    wss.on("connection", (ws, req) => {
+      const url = new URL(req.url, "http://localhost");
+      const reply = (message) => ws.send(JSON.stringify(message, jsonReplacer));
+      let channels;
+      try {
+        channels = parseChannels(url.searchParams.get("channels"));
+      } catch (err) {
+        reply({ type: "error", error: err.message });
+        return ws.close(1008, "invalid channels");
+      }
+
+      const client = { channels: new Set(channels), send: reply };
+      clients.add(client);
+      ws.isAlive = true;
+      ws.on("pong", () => {
+        ws.isAlive = true;
+      });
+      ws.on("close", () => clients.delete(client));
+      ws.on("message", (raw) => {
+        try {
+          const message = JSON.parse(raw.toString());
+          const requested = parseChannels(message.channels);
+          if (message.op === "subscribe") {
+            for (const channel of requested.filter((c) => !client.channels.has(c))) {
+              client.channels.add(channel);
+              const event = snapshot(channel);
+              if (event) reply(event);
+            }
+          } else if (message.op === "unsubscribe") {
+            for (const channel of requested) client.channels.delete(channel);
+          } else {
+            throw new Error(`unknown op: ${message.op}`);
+          }
+          reply({ type: "subscribed", channels: [...client.channels] });
+        } catch (err) {
+          reply({ type: "error", error: err.message });
+        }
+      });
+
+      reply({ type: "subscribed", channels: [...client.channels] });
+      const resumeFrom = url.searchParams.get("lastEventId");
+      start(client, resumeFrom === null ? null : parseInt(resumeFrom, 10));
+    });
+
+    const heartbeat = setInterval(() => {
+      for (const ws of wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+        ws.send(JSON.stringify({ type: "heartbeat", timestamp: new Date().toISOString(), lastEventId: seq }));
+      }
+    }, heartbeatMs);
+    wss.on("close", () => clearInterval(heartbeat));
+    return wss;
+  }
+
+  return {
+    update,
+    sseHandler,
+    attachWebSocket,
+    stats: () => ({ clients: clients.size, lastEventId: seq, buffered: buffer.length }),
+  };
+}
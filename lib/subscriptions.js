@@ -0,0 +1,179 @@
+/**
+ * Account subscriptions over the Solana PubSub WebSocket (accountSubscribe).
+ *
+ * One connection per chain. Every subscribed account is subscribed again
+ * after a reconnect; reconnects back off exponentially from reconnectBaseMs
+ * up to maxReconnectMs. Changes made while disconnected are missed, so
+ * onReconnect fires after every reconnect for the caller to re-read.
+ *
+ * Notifications are handed to onChange(address, account, slot) with the
+ * account in the readAccounts() shape (see accounts.js), or null when the
+ * account was closed. Protocol pings detect dead connections.
+ */
+
+import WebSocket from "ws";
+import { parseRpcJson, toAccount } from "./accounts.js";
+import { redactUrl } from "./rpc-pool.js";
+
+// Solana serves PubSub on the RPC port + 1 (8899 -> 8900)
+export function wsUrlFor(rpcUrl) {
+  const url = new URL(rpcUrl);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  if (url.port) url.port = String(Number(url.port) + 1);
+  return url.toString();
+}
+
+export function createAccountSubscriber({
+  chain,
+  url,
+  commitment = "confirmed",
+  onChange,
+  onReconnect = () => {},
+  reconnectBaseMs = 1000,
+  maxReconnectMs = 30000,
+  pingIntervalMs = 30000,
+}) {
+  const addresses = new Set();
+  const pending = new Map(); // request id -> address
+  const bySubscription = new Map(); // subscription id -> address
+  let ws = null;
+  let requestId = 0;
+  let connected = false;
+  let everConnected = false;
+  let stopped = true;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let pingTimer = null;
+  let reconnects = 0;
+  let notifications = 0;
+  let lastNotificationAt = null;
+  let lastError = null;
+
+  function send(address) {
+    requestId += 1;
+    pending.set(requestId, address);
+    ws.send(JSON.stringify({
+      jsonrpc: "2.0",
+      id: requestId,
+      method: "accountSubscribe",
+      params: [address, { encoding: "base64", commitment }],
+    }));
+  }
+
+  function handleMessage(raw) {
+    let message;
+    try {
+      message = parseRpcJson(raw.toString());
+    } catch {
+      return;
+    }
+    if (message.id !== undefined && pending.has(message.id)) {
+      const address = pending.get(message.id);
+      pending.delete(message.id);
+      if (message.error) {
+        lastError = `${address}: ${message.error.message}`;
+        console.log(`[supply-oracle] ${chain} accountSubscribe ${address} failed: ${message.error.message}`);
+      } else {
+        bySubscription.set(message.result, address);
+      }
+      return;
+    }
+    if (message.method === "accountNotification") {
+      const address = bySubscription.get(message.params.subscription);
+      if (!address) return;
+      notifications += 1;
+      lastNotificationAt = new Date().toISOString();
+      const { context, value } = message.params.result;
+      onChange(address, toAccount(value), context.slot);
+    }
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    const delay = Math.min(reconnectBaseMs * 2 ** attempt, maxReconnectMs);
+    attempt += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+    reconnectTimer.unref();
+  }
+
+  function connect() {
+    ws = new WebSocket(url);
+    let alive = true;
+
+    ws.on("open", () => {
+      connected = true;
+      attempt = 0;
+      for (const address of addresses) send(address);
+      if (everConnected) {
+        reconnects += 1;
+        console.log(`[supply-oracle] ${chain} account subscriptions reconnected`);
+        onReconnect();
+      }
+      everConnected = true;
+      pingTimer = setInterval(() => {
+        if (!alive) return ws.terminate();
+        alive = false;
+        ws.ping();
+      }, pingIntervalMs);
+      pingTimer.unref();
+    });
+    ws.on("pong", () => {
+      alive = true;
+    });
+    ws.on("message", handleMessage);
+    ws.on("error", (err) => {
+      lastError = err.message;
+    });
+    ws.on("close", () => {
+      if (connected) console.log(`[supply-oracle] ${chain} account subscriptions disconnected${lastError ? `: ${lastError}` : ""}`);
+      connected = false;
+      clearInterval(pingTimer);
+      pending.clear();
+      bySubscription.clear();
+      scheduleReconnect();
+    });
+  }
+
+  function subscribe(address) {
+    if (addresses.has(address)) return;
+    addresses.add(address);
+    if (connected) send(address);
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    connect();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (ws) ws.close();
+  }
+
+  // Connected with every account subscription confirmed
+  function ready() {
+    return connected && bySubscription.size === addresses.size;
+  }
+
+  function status() {
+    return {
+      chain,
+      url: redactUrl(url),
+      connected,
+      subscribed: bySubscription.size,
+      accounts: addresses.size,
+      reconnects,
+      notifications,
+      lastNotificationAt,
+      lastError,
+    };
+  }
+
+  return { chain, subscribe, start, stop, ready, status };
+}
@@ -0,0 +1,296 @@
+/**
+ * Token registry: supply, circulating, price and history for tokens other
+ * than MYTH.
+ *
+ * MYTH is the primary token and keeps its own pipeline in index.js. Other
+ * tokens (subnet tokens, LP tokens, ...) are declared in config/tokens.json
+ * (override the path with TOKENS_CONFIG; see config/tokens.example.json):
+ *
+ *   symbol           unique, upper case (MYTH is reserved)
+ *   name             human readable name
+ *   l1Mint, l2Mint   SPL mint on each chain; at least one
+ *   decimals         the token's base unit (its mints' decimals); amounts
+ *                    and `Raw` fields are in it
+ *   canonicalSupply  max supply as a decimal string, optional
+ *   nonCirculating   non-circulating registry file for this token, relative
+ *                    to the tokens file; token-account and token-owner
+ *                    sources only (native and fee-config are MYTH's)
+ *   price            { mint, sources }: sources from dexscreener, jupiter,
+ *                    pumpfun (needs canonicalSupply); mint defaults to the
+ *                    L1 mint, else the L2 mint
+ *
+ * Total supply is the sum of the mints, as for MYTH, so tokens bridged
+ * between the chains list their bridge vault in the registry. Each poll reads
+ * both mints and the registry's batched accounts, refreshes the registry
+ * balances and the price, and samples the figures into the token's history
+ * at most once per sampleIntervalMs.
+ *
+ * Amounts are BigInt base units at the token's decimals.
+ */
+
+import fs from "fs";
+import path from "path";
+import { PublicKey } from "@solana/web3.js";
+import { maxRaw, parseAmount, rawToUi } from "./amounts.js";
+import { readAccounts, mintSupplyRaw } from "./accounts.js";
+import {
+  loadNonCirculatingRegistry,
+  fetchNonCirculatingBalances,
+  prefetchAddresses,
+  summarizeNonCirculating,
+} from "./non-circulating.js";
+import { createFieldGuard } from "./sanity.js";
+import { sampleHistory } from "./history.js";
+
+export const PRICE_SOURCES = ["dexscreener", "jupiter", "pumpfun"];
+export const PRIMARY_SYMBOL = "MYTH";
+
+const CHAINS = ["l1", "l2"];
+const MAX_DECIMALS = 18;
+// Fields sampled into a token's history; a subset of the MYTH snapshot fields
+export const TOKEN_HISTORY_FIELDS = ["totalSupply", "l1Supply", "l2Supply", "circulating", "price", "volume24h", "liquidity", "marketCap", "l1Slot", "l2Slot"];
+
+// -- Loading ------------------------------------------------------------------
+
+function validateToken(entry, index, dir) {
+  const where = `token #${index}${entry?.symbol ? ` (${entry.symbol})` : ""}`;
+  if (!entry || typeof entry !== "object") throw new Error(`${where}: must be an object`);
+  if (!/^[A-Z0-9]{1,16}$/.test(entry.symbol || "")) throw new Error(`${where}: symbol must be 1-16 upper case letters or digits`);
+  if (entry.symbol === PRIMARY_SYMBOL) throw new Error(`${where}: ${PRIMARY_SYMBOL} is configured through the environment`);
+
+  const mints = {};
+  for (const chain of CHAINS) {
+    const mint = entry[`${chain}Mint`];
+    if (mint === undefined || mint === null) continue;
+    try {
+      new PublicKey(mint);
+    } catch {
+      throw new Error(`${where}: invalid ${chain}Mint ${mint}`);
+    }
+    mints[chain] = mint;
+  }
+  if (Object.keys(mints).length === 0) throw new Error(`${where}: needs an l1Mint or an l2Mint`);
+  if (!Number.isInteger(entry.decimals) || entry.decimals < 0 || entry.decimals > MAX_DECIMALS) {
+    throw new Error(`${where}: decimals must be an integer from 0 to ${MAX_DECIMALS}`);
+  }
+
+  let canonicalRaw = null;
+  if (entry.canonicalSupply !== undefined) {
+    try {
+      canonicalRaw = parseAmount(entry.canonicalSupply, entry.decimals);
+    } catch {
+      throw new Error(`${where}: canonicalSupply must be a decimal string with at most ${entry.decimals} decimal places`);
+    }
+  }
+
+  const priceSources = entry.price?.sources ?? [];
+  const unknown = priceSources.filter((s) => !PRICE_SOURCES.includes(s));
+  if (unknown.length > 0) throw new Error(`${where}: unknown price sources ${unknown.join(", ")} (expected ${PRICE_SOURCES.join(", ")})`);
+  if (priceSources.includes("pumpfun") && canonicalRaw === null) throw new Error(`${where}: the pumpfun price source needs canonicalSupply`);
+
+  const registry = entry.nonCirculating ? loadNonCirculatingRegistry(path.resolve(dir, entry.nonCirculating)) : [];
+  const unsupported = registry.filter((e) => e.source !== "token-account" && e.source !== "token-owner");
+  if (unsupported.length > 0) throw new Error(`${where}: non-circulating source ${unsupported[0].source} is only supported for ${PRIMARY_SYMBOL}`);
+  const missingChain = registry.find((e) => !mints[e.chain]);
+  if (missingChain) throw new Error(`${where}: ${missingChain.label} is on ${missingChain.chain}, which has no mint`);
+
+  return {
+    symbol: entry.symbol,
+    name: entry.name || entry.symbol,
+    mints,
+    decimals: entry.decimals,
+    canonicalRaw,
+    registry,
+    price: { mint: entry.price?.mint || mints.l1 || mints.l2, sources: priceSources },
+  };
+}
+
+export function loadTokenRegistry(file) {
+  if (!fs.existsSync(file)) {
+    console.log(`[supply-oracle] No token registry at ${file}, tracking ${PRIMARY_SYMBOL} only`);
+    return [];
+  }
+  const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const entries = Array.isArray(parsed) ? parsed : parsed.tokens;
+  if (!Array.isArray(entries)) throw new Error(`${file}: expected a "tokens" array`);
+
+  const tokens = entries.map((entry, i) => validateToken(entry, i, path.dirname(file)));
+  const seen = new Set();
+  for (const { symbol } of tokens) {
+    if (seen.has(symbol)) throw new Error(`${file}: duplicate token ${symbol}`);
+    seen.add(symbol);
+  }
+  console.log(`[supply-oracle] Loaded ${tokens.length} additional tokens`);
+  return tokens;
+}
+
+// -- Tracking -----------------------------------------------------------------
+
+// `priceAggregator` is built by the caller from token.price (see
+// createPriceAggregator); the guard options are those of lib/sanity.js.
+export function createTokenTracker(token, {
+  l1Pool,
+  l2Pool,
+  priceAggregator,
+  maxJumpPct,
+  confirmMs,
+  staleAfterMs,
+  sampleIntervalMs = 300000,
+  retentionMs = 30 * 86400000,
+  onSample = () => {},
+}) {
+  const chains = CHAINS.filter((chain) => token.mints[chain]);
+  // Without a canonical supply only the jump and zero checks apply
+  const bound = token.canonicalRaw ?? BigInt(Number.MAX_SAFE_INTEGER) * 10n ** BigInt(token.decimals);
+  const guard = createFieldGuard({
+    fields: Object.fromEntries(chains.map((chain) => [`${chain}Supply`, { source: `${chain}:${token.mints[chain]}`, nonZero: true, inTotal: true }])),
+    maxJumpPct,
+    maxRaw: bound,
+    maxTotalRaw: bound,
+    confirmMs,
+    staleAfterMs,
+  });
+
+  let supply = null; // { raw: { l1Supply, l2Supply, totalSupply, circulating, nonCirculating }, slots, lastUpdated }
+  let balances = [];
+  let price = null;
+  let lastError = null;
+  const samples = [];
+
+  const samplesBetween = (from, to) => samples.filter((s) => s.timestamp >= from && s.timestamp <= to);
+
+  async function readChain(chain) {
+    const pool = chain === "l1" ? l1Pool : l2Pool;
+    const mint = token.mints[chain];
+    let batch;
+    try {
+      batch = await pool.call(({ url }) => readAccounts(url, [mint, ...prefetchAddresses(token.registry, chain)]));
+    } catch (err) {
+      return { slot: null, accounts: null, supply: { value: null, error: err.message } };
+    }
+    try {
+      return { ...batch, supply: { value: mintSupplyRaw(batch.accounts, mint, token.decimals), error: null } };
+    } catch (err) {
+      return { ...batch, supply: { value: null, error: err.message } };
+    }
+  }
+
+  function prune(now) {
+    const cutoff = now - retentionMs;
+    while (samples.length > 0 && samples[0].timestamp < cutoff) samples.shift();
+  }
+
+  // Loads persisted samples; returns the ones still inside retention so the
+  // caller can compact the log
+  function restore(events, now = Date.now()) {
+    const kept = events.filter((e) => e.timestamp >= now - retentionMs);
+    samples.push(...kept);
+    return kept;
+  }
+
+  function sample(now) {
+    if (supply.raw.totalSupply === null) return;
+    if (samples.length > 0 && now - samples.at(-1).timestamp < sampleIntervalMs) return;
+    const ui = (raw) => (raw === null ? null : rawToUi(raw, token.decimals));
+    const entry = {
+      timestamp: now,
+      totalSupply: ui(supply.raw.totalSupply),
+      l1Supply: ui(supply.raw.l1Supply),
+      l2Supply: ui(supply.raw.l2Supply),
+      circulating: ui(supply.raw.circulating),
+      price: price?.usd ?? null,
+      volume24h: price?.volume24h ?? null,
+      liquidity: price?.liquidity ?? null,
+      marketCap: price?.marketCap ?? null,
+      l1Slot: supply.slots.l1,
+      l2Slot: supply.slots.l2,
+    };
+    samples.push(entry);
+    prune(now);
+    onSample(entry);
+  }
+
+  // Fetcher-style: { error }
+  async function update(now = Date.now()) {
+    const reads = Object.fromEntries(await Promise.all(chains.map(async (chain) => [chain, await readChain(chain)])));
+    const guarded = guard.apply(
+      Object.fromEntries(chains.map((chain) => [`${chain}Supply`, reads[chain].supply])),
+      Object.fromEntries(chains.map((chain) => [`${chain}Supply`, reads[chain].slot])),
+      now,
+    );
+    balances = await fetchNonCirculatingBalances(token.registry, {
+      l1Pool,
+      l2Pool,
+      l1Mint: token.mints.l1,
+      l2Mint: token.mints.l2,
+      accounts: { l1: reads.l1?.accounts ?? null, l2: reads.l2?.accounts ?? null },
+      slots: { l1: reads.l1?.slot ?? null, l2: reads.l2?.slot ?? null },
+      burnedRaw: 0n,
+      rawDecimals: token.decimals,
+    }, balances);
+
+    const chainRaw = (chain) => (token.mints[chain] ? guarded[`${chain}Supply`].raw : null);
+    const l1Raw = chainRaw("l1");
+    const l2Raw = chainRaw("l2");
+    // null until a mint has had a good read
+    const totalRaw = l1Raw === null && l2Raw === null ? null : (l1Raw ?? 0n) + (l2Raw ?? 0n);
+    const { totalExcludedRaw } = summarizeNonCirculating(balances);
+    supply = {
+      raw: {
+        l1Supply: l1Raw,
+        l2Supply: l2Raw,
+        totalSupply: totalRaw,
+        circulating: totalRaw === null ? null : maxRaw(0n, totalRaw - totalExcludedRaw),
+        nonCirculating: totalExcludedRaw,
+      },
+      slots: {
+        l1: reads.l1?.slot ?? supply?.slots.l1 ?? null,
+        l2: reads.l2?.slot ?? supply?.slots.l2 ?? null,
+      },
+      lastUpdated: new Date(now).toISOString(),
+    };
+
+    if (token.price.sources.length > 0) {
+      const agg = await priceAggregator.update();
+      const accepted = agg.quotes.filter((q) => q.status === "accepted");
+      const dex = accepted.filter((q) => q.source === "dexscreener").sort((a, b) => (b.liquidity || 0) - (a.liquidity || 0))[0];
+      price = {
+        usd: agg.usd,
+        marketCap: dex?.marketCap ?? (agg.usd === null || supply.raw.circulating === null ? null : agg.usd * rawToUi(supply.raw.circulating, token.decimals)),
+        volume24h: dex?.volume24h ?? null,
+        liquidity: accepted.reduce((s, q) => s + (q.liquidity || 0), 0) || null,
+        source: agg.primary?.source ?? price?.source ?? null,
+        stale: agg.stale,
+        confidence: agg.confidence,
+      };
+    }
+    sample(now);
+
+    const errors = [
+      ...Object.entries(guarded).filter(([, r]) => r.error).map(([field, r]) => `${field}: ${r.error}`),
+      ...balances.filter((e) => e.error).map((e) => `${e.label}: ${e.error}`),
+    ];
+    lastError = errors.length > 0 ? errors.join(", ") : null;
+    return { error: lastError };
+  }
+
+  return {
+    token,
+    restore,
+    update,
+    supply: () => supply,
+    balances: () => balances,
+    price: () => price,
+    guard,
+    // plan from parseHistoryQuery with TOKEN_HISTORY_FIELDS and oldestTimestamp
+    history: (plan) => sampleHistory(samplesBetween(plan.from, plan.to), plan),
+    oldestTimestamp: () => samples[0]?.timestamp ?? null,
+    status: () => ({
+      symbol: token.symbol,
+      lastUpdated: supply?.lastUpdated ?? null,
+      staleFields: guard.staleFields(),
+      samples: samples.length,
+      lastError,
+    }),
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * Shared helpers for the supply oracle modules.
+ */
+
+// -- Timeout helper -----------------------------------------------------------
+
+export function withTimeout(promise, ms = 10000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), ms)),
+  ]);
+}
@@ -0,0 +1,257 @@
+/**
+ * Validator analytics: reward history, APR estimates and list queries.
+ *
+ * MYTH token ValidatorFeeAccounts (L2 mint units, 6 decimals) and RPC vote
+ * accounts (lamports, 9 decimals) are normalized to one row shape with every
+ * amount (stake, pendingRewards, totalClaimed) as BigInt at
+ * SUPPLY_RAW_DECIMALS.
+ *
+ * The history keeps one sample of every validator per sampleIntervalMs for
+ * retentionMs. APR is estimated from reward accrual over the last
+ * aprWindowMs of that history:
+ *
+ *   observed    (earned / stake) * (year / elapsed), where earned is the
+ *               growth of pendingRewards + totalClaimed; needs at least one
+ *               sample interval of history
+ *   multiplier  myth-token validators without enough history get the
+ *               stake-weighted observed rate per unit of rewardMultiplier
+ *               (100 = 1x) times their own multiplier
+ *
+ * APRs are fractions (0.08 = 8%).
+ */
+
+import { LEGACY_RAW_DECIMALS, NATIVE_DECIMALS, SUPPLY_RAW_DECIMALS, scaleRaw, toRaw } from "./amounts.js";
+
+const YEAR_MS = 365 * 86400000;
+const MAX_PAGE_SIZE = 1000;
+
+export const MULTIPLIER_BASE = 100;
+export const VALIDATOR_SOURCES = ["myth-token", "rpc"];
+export const VALIDATOR_SORTS = [
+  "stake", "apr", "pendingRewards", "totalClaimed", "rewardMultiplier", "registeredAt", "lastClaimAt",
+];
+
+// -- Rows ---------------------------------------------------------------------
+
+// Fee accounts first, then vote accounts whose node has no fee account
+export function validatorRows(feeAccounts, voteAccounts, { rewardDecimals }) {
+  const fromFeeUnits = (raw) => scaleRaw(raw ?? 0n, rewardDecimals, SUPPLY_RAW_DECIMALS);
+  const onChain = feeAccounts.map((v) => ({
+    address: v.address,
+    validator: v.validator,
+    source: "myth-token",
+    isActive: v.isActive,
+    aiCapable: v.aiCapable,
+    rewardMultiplier: v.rewardMultiplier,
+    stake: fromFeeUnits(v.stakeAmount),
+    pendingRewards: fromFeeUnits(v.pendingRewards),
+    totalClaimed: fromFeeUnits(v.totalClaimed),
+    registeredAt: new Date(v.registeredAt * 1000).toISOString(),
+  }));
+
+  const onChainNodes = new Set(onChain.map((v) => v.validator));
+  const rpc = voteAccounts
+    .filter((v) => !onChainNodes.has(v.nodePubkey))
+    .map((v) => ({
+      address: v.votePubkey,
+      validator: v.nodePubkey,
+      source: "rpc",
+      isActive: !v.isDelinquent,
+      aiCapable: false,
+      rewardMultiplier: MULTIPLIER_BASE,
+      stake: scaleRaw(toRaw(v.activatedStake), NATIVE_DECIMALS, SUPPLY_RAW_DECIMALS),
+      pendingRewards: 0n,
+      totalClaimed: 0n,
+      registeredAt: null,
+      commission: v.commission,
+      lastVote: v.lastVote,
+    }));
+
+  return [...onChain, ...rpc];
+}
+
+// -- History ------------------------------------------------------------------
+
+export function createValidatorHistory({
+  sampleIntervalMs = 3600000,
+  retentionMs = 90 * 86400000,
+  onSample = () => {},
+} = {}) {
+  const series = new Map(); // address -> [{ timestamp, stake, pendingRewards, totalClaimed }]
+  let lastSampleAt = 0;
+
+  function add(timestamp, entries) {
+    for (const { address, ...values } of entries) {
+      if (!series.has(address)) series.set(address, []);
+      series.get(address).push({ timestamp, ...values });
+    }
+    lastSampleAt = Math.max(lastSampleAt, timestamp);
+  }
+
+  function prune(now) {
+    const cutoff = now - retentionMs;
+    for (const [address, points] of series) {
+      const kept = points.filter((p) => p.timestamp >= cutoff);
+      if (kept.length === 0) series.delete(address);
+      else series.set(address, kept);
+    }
+  }
+
+  // Loads persisted events; returns the ones still inside retention so the
+  // caller can compact the log
+  function restore(events, now = Date.now()) {
+    const kept = events.filter((e) => e.timestamp >= now - retentionMs);
+    for (const { timestamp, validators, rawDecimals = LEGACY_RAW_DECIMALS } of kept) {
+      const amount = (value) => scaleRaw(BigInt(value), rawDecimals, SUPPLY_RAW_DECIMALS);
+      add(timestamp, validators.map(([address, stake, pendingRewards, totalClaimed]) => ({
+        address,
+        stake: amount(stake),
+        pendingRewards: amount(pendingRewards),
+        totalClaimed: amount(totalClaimed),
+      })));
+    }
+    return kept;
+  }
+
+  // Samples every row, at most once per sampleIntervalMs
+  function record(rows, now = Date.now()) {
+    if (now - lastSampleAt < sampleIntervalMs) return false;
+    const entries = rows.map(({ address, stake, pendingRewards, totalClaimed }) => ({ address, stake, pendingRewards, totalClaimed }));
+    add(now, entries);
+    prune(now);
+    onSample({
+      timestamp: now,
+      rawDecimals: SUPPLY_RAW_DECIMALS,
+      validators: entries.map((e) => [e.address, e.stake, e.pendingRewards, e.totalClaimed]),
+    });
+    return true;
+  }
+
+  function get(address, from = 0, to = Infinity) {
+    return (series.get(address) || []).filter((p) => p.timestamp >= from && p.timestamp <= to);
+  }
+
+  // Time of the last sample in which totalClaimed grew
+  function lastClaimAt(address) {
+    const points = series.get(address) || [];
+    for (let i = points.length - 1; i > 0; i--) {
+      if (points[i].totalClaimed > points[i - 1].totalClaimed) return new Date(points[i].timestamp).toISOString();
+    }
+    return null;
+  }
+
+  return {
+    restore,
+    record,
+    get,
+    lastClaimAt,
+    sampleIntervalMs,
+    stats: () => ({
+      validators: series.size,
+      samples: [...series.values()].reduce((n, points) => n + points.length, 0),
+      lastSampleAt: lastSampleAt > 0 ? new Date(lastSampleAt).toISOString() : null,
+    }),
+  };
+}
+
+// -- APR ----------------------------------------------------------------------
+
+// Map of address -> { apr, aprSource, aprWindowMs } for every row
+export function estimateAprs(rows, history, { now = Date.now(), aprWindowMs = 7 * 86400000 } = {}) {
+  const observed = new Map();
+  for (const row of rows) {
+    if (row.source !== "myth-token" || row.stake <= 0n) continue;
+    const [first] = history.get(row.address, now - aprWindowMs);
+    const elapsed = first ? now - first.timestamp : 0;
+    if (elapsed < history.sampleIntervalMs) continue;
+    const earned = row.pendingRewards + row.totalClaimed - first.pendingRewards - first.totalClaimed;
+    if (earned < 0n) continue; // account was reset
+    observed.set(row.address, { apr: (Number(earned) / Number(row.stake)) * (YEAR_MS / elapsed), elapsed });
+  }
+
+  let weighted = 0;
+  let weight = 0;
+  for (const row of rows) {
+    if (!observed.has(row.address)) continue;
+    const stake = Number(row.stake);
+    weighted += observed.get(row.address).apr * stake;
+    weight += stake * (row.rewardMultiplier / MULTIPLIER_BASE);
+  }
+  const ratePerMultiplier = weight > 0 ? weighted / weight : null;
+
+  const round = (apr) => Math.round(apr * 1e6) / 1e6;
+  return new Map(rows.map((row) => {
+    const seen = observed.get(row.address);
+    if (seen) return [row.address, { apr: round(seen.apr), aprSource: "observed", aprWindowMs: seen.elapsed }];
+    if (row.source === "myth-token" && row.isActive && ratePerMultiplier !== null) {
+      return [row.address, {
+        apr: round(ratePerMultiplier * (row.rewardMultiplier / MULTIPLIER_BASE)),
+        aprSource: "multiplier",
+        aprWindowMs: null,
+      }];
+    }
+    return [row.address, { apr: null, aprSource: null, aprWindowMs: null }];
+  }));
+}
+
+// -- Queries ------------------------------------------------------------------
+
+function parseBool(value, name) {
+  if (value === undefined) return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new Error(`${name} must be true or false`);
+}
+
+function parseCount(value, name, min, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`${name} must be an integer >= ${min}`);
+  return n;
+}
+
+// ?aiCapable= ?active= ?source= ?sort= ?order= ?offset= ?limit=. Throws with
+// a client-facing message on invalid input.
+export function parseValidatorQuery(query) {
+  const source = query.source ?? null;
+  if (source !== null && !VALIDATOR_SOURCES.includes(source)) {
+    throw new Error(`source must be one of: ${VALIDATOR_SOURCES.join(", ")}`);
+  }
+  const sort = query.sort ?? null;
+  if (sort !== null && !VALIDATOR_SORTS.includes(sort)) {
+    throw new Error(`sort must be one of: ${VALIDATOR_SORTS.join(", ")}`);
+  }
+  const order = query.order ?? "desc";
+  if (order !== "asc" && order !== "desc") throw new Error("order must be asc or desc");
+  const limit = parseCount(query.limit, "limit", 1, null);
+  if (limit !== null && limit > MAX_PAGE_SIZE) throw new Error(`limit must be at most ${MAX_PAGE_SIZE}`);
+  return {
+    aiCapable: parseBool(query.aiCapable, "aiCapable"),
+    active: parseBool(query.active, "active"),
+    source,
+    sort,
+    order,
+    offset: parseCount(query.offset, "offset", 0, 0),
+    limit,
+  };
+}
+
+// Filters, sorts (nulls last) and pages rows; `total` counts every match
+export function applyValidatorQuery(rows, { aiCapable, active, source, sort, order, offset, limit }) {
+  let matches = rows.filter((v) => (aiCapable === null || v.aiCapable === aiCapable)
+    && (active === null || v.isActive === active)
+    && (source === null || v.source === source));
+  if (sort) {
+    const direction = order === "asc" ? 1 : -1;
+    matches = [...matches].sort((a, b) => {
+      const x = a[sort];
+      const y = b[sort];
+      if (x === null || y === null) return (x === null) - (y === null);
+      return x < y ? -direction : x > y ? direction : 0;
+    });
+  }
+  return {
+    total: matches.length,
+    page: matches.slice(offset, limit === null ? undefined : offset + limit),
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * Vesting allocations, unlock schedules and supply projection.
+ *
+ * Loaded from config/vesting.json (override the path with VESTING_CONFIG).
+ * Each allocation:
+ *
+ *   id        unique key
+ *   label     human readable name
+ *   category  team | ecosystem | foundation | investors | other
+ *   amount    total allocation in MYTH (decimal string)
+ *   accounts  [{ chain, address }] holding it; every account must be in the
+ *             non-circulating registry, which supplies the live balances
+ *   schedule  one of:
+ *               { type: "cliff", start, cliffMonths }
+ *                 everything unlocks at start + cliffMonths
+ *               { type: "linear", start, cliffMonths = 0, durationMonths }
+ *                 unlocks linearly from start over durationMonths; nothing
+ *                 before the cliff, which releases what accrued until then
+ *               { type: "custom", unlocks: [{ date, amount | percent }] }
+ *
+ * Scheduled figures come from the calendar alone. Live figures combine them
+ * with the balances: `locked` is the part of the scheduled locked amount the
+ * accounts still hold, `unlockedHeld` the rest of their balance and
+ * `released` what has left them. An allocation whose balance is below its
+ * scheduled locked amount is `overdrawn`.
+ *
+ * Amounts are BigInt at SUPPLY_RAW_DECIMALS.
+ */
+
+import fs from "fs";
+import { SUPPLY_RAW_DECIMALS, parseAmount } from "./amounts.js";
+
+const CATEGORIES = ["team", "ecosystem", "foundation", "investors", "other"];
+const SCHEDULE_TYPES = ["cliff", "linear", "custom"];
+
+// -- Dates --------------------------------------------------------------------
+
+// Same day of the month `months` later, clamped to the last day of a shorter
+// month (Jan 31 + 1 month is Feb 28, or 29 in leap years), same time of day
+export function addMonths(timestamp, months) {
+  const d = new Date(timestamp);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(d.getUTCDate(), lastDay))
+    + (timestamp - Date.UTC(year, d.getUTCMonth(), d.getUTCDate()));
+}
+
+function parseDate(value, where) {
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) throw new Error(`${where}: invalid date ${value}`);
+  return timestamp;
+}
+
+function parseMonths(value, where, name, fallback) {
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (!Number.isInteger(value) || value < 0) throw new Error(`${where}: ${name} must be a non-negative integer`);
+  return value;
+}
+
+// -- Loading ------------------------------------------------------------------
+
+// Schedule normalized to unlock events: [{ at, raw }] for cliff/custom, or
+// { start, cliffAt, end } for linear
+function parseSchedule(schedule, amountRaw, where) {
+  if (!schedule || !SCHEDULE_TYPES.includes(schedule.type)) {
+    throw new Error(`${where}: schedule.type must be one of ${SCHEDULE_TYPES.join(", ")}`);
+  }
+  if (schedule.type === "cliff") {
+    const cliffAt = addMonths(parseDate(schedule.start, where), parseMonths(schedule.cliffMonths, where, "cliffMonths"));
+    return { type: "cliff", events: [{ at: cliffAt, raw: amountRaw }] };
+  }
+  if (schedule.type === "linear") {
+    const start = parseDate(schedule.start, where);
+    const durationMonths = parseMonths(schedule.durationMonths, where, "durationMonths");
+    const cliffMonths = parseMonths(schedule.cliffMonths, where, "cliffMonths", 0);
+    if (durationMonths === 0 || cliffMonths > durationMonths) {
+      throw new Error(`${where}: durationMonths must be positive and at least cliffMonths`);
+    }
+    return { type: "linear", start, cliffAt: addMonths(start, cliffMonths), end: addMonths(start, durationMonths) };
+  }
+
+  if (!Array.isArray(schedule.unlocks) || schedule.unlocks.length === 0) {
+    throw new Error(`${where}: custom schedule needs an unlocks array`);
+  }
+  const events = schedule.unlocks.map((u) => {
+    if ((u.amount === undefined) === (u.percent === undefined)) {
+      throw new Error(`${where}: each unlock needs exactly one of amount or percent`);
+    }
+    const raw = u.amount !== undefined
+      ? parseAmount(u.amount, SUPPLY_RAW_DECIMALS)
+      : (amountRaw * parseAmount(u.percent, 4)) / 1000000n; // percent with 4 decimals
+    return { at: parseDate(u.date, where), raw };
+  }).sort((a, b) => a.at - b.at);
+  const total = events.reduce((sum, e) => sum + e.raw, 0n);
+  if (total > amountRaw) throw new Error(`${where}: unlocks add up to more than the allocation`);
+  return { type: "custom", events };
+}
+
+function validateAllocation(entry, index, registryByKey) {
+  const where = `vesting allocation #${index}${entry?.id ? ` (${entry.id})` : ""}`;
+  if (!entry || typeof entry !== "object") throw new Error(`${where}: must be an object`);
+  if (!entry.id) throw new Error(`${where}: missing id`);
+  if (!CATEGORIES.includes(entry.category)) throw new Error(`${where}: category must be one of ${CATEGORIES.join(", ")}`);
+  let amountRaw;
+  try {
+    amountRaw = parseAmount(entry.amount, SUPPLY_RAW_DECIMALS);
+  } catch {
+    throw new Error(`${where}: amount must be a decimal MYTH string`);
+  }
+  if (!Array.isArray(entry.accounts) || entry.accounts.length === 0) throw new Error(`${where}: missing accounts`);
+  for (const account of entry.accounts) {
+    const registered = registryByKey.get(`${account.chain}:${account.address}`);
+    if (!registered) {
+      throw new Error(`${where}: ${account.chain}:${account.address} is not in the non-circulating registry`);
+    }
+    // Its locked balance would otherwise be counted as circulating already
+    if (registered.excluded !== true) {
+      throw new Error(`${where}: ${account.chain}:${account.address} is not excluded from circulating supply in the registry`);
+    }
+  }
+  return {
+    id: entry.id,
+    label: entry.label || entry.id,
+    category: entry.category,
+    amountRaw,
+    accounts: entry.accounts.map(({ chain, address }) => ({ chain, address })),
+    schedule: parseSchedule(entry.schedule, amountRaw, where),
+  };
+}
+
+export function loadVestingSchedule(file, registry) {
+  if (!fs.existsSync(file)) {
+    console.log(`[supply-oracle] No vesting schedule at ${file}, projection uses burns only`);
+    return [];
+  }
+  const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const entries = Array.isArray(parsed) ? parsed : parsed.allocations;
+  if (!Array.isArray(entries)) throw new Error(`${file}: expected an "allocations" array`);
+
+  const registryByKey = new Map(registry.map((e) => [`${e.chain}:${e.address}`, e]));
+  const allocations = entries.map((entry, i) => validateAllocation(entry, i, registryByKey));
+  const seen = new Set();
+  for (const { id, accounts } of allocations) {
+    if (seen.has(id)) throw new Error(`${file}: duplicate allocation ${id}`);
+    seen.add(id);
+    for (const { chain, address } of accounts) {
+      const key = `account ${chain}:${address}`;
+      if (seen.has(key)) throw new Error(`${file}: ${chain}:${address} is used by two allocations`);
+      seen.add(key);
+    }
+  }
+  console.log(`[supply-oracle] Loaded ${allocations.length} vesting allocations`);
+  return allocations;
+}
+
+// -- Schedule -----------------------------------------------------------------
+
+// Scheduled unlocked amount at `timestamp`
+export function unlockedRaw(allocation, timestamp) {
+  const { schedule, amountRaw } = allocation;
+  if (schedule.type !== "linear") {
+    return schedule.events.filter((e) => e.at <= timestamp).reduce((sum, e) => sum + e.raw, 0n);
+  }
+  if (timestamp < schedule.cliffAt) return 0n;
+  if (timestamp >= schedule.end) return amountRaw;
+  return (amountRaw * BigInt(timestamp - schedule.start)) / BigInt(schedule.end - schedule.start);
+}
+
+// Next discrete unlock after `timestamp` (a cliff or custom event), or null
+function nextUnlock(allocation, timestamp) {
+  const { schedule } = allocation;
+  if (schedule.type === "linear") {
+    return schedule.cliffAt > timestamp && schedule.cliffAt > schedule.start
+      ? { at: schedule.cliffAt, raw: unlockedRaw(allocation, schedule.cliffAt) }
+      : null;
+  }
+  return schedule.events.find((e) => e.at > timestamp) || null;
+}
+
+function fullyUnlockedAt(allocation) {
+  const { schedule } = allocation;
+  if (schedule.type === "linear") return schedule.end;
+  const last = schedule.events.at(-1);
+  return unlockedRaw(allocation, last.at) === allocation.amountRaw ? last.at : null;
+}
+
+// -- Live status --------------------------------------------------------------
+
+// Scheduled and live figures per allocation. `balances` are non-circulating
+// registry rows ({ chain, address, balanceRaw, error }).
+export function vestingStatus(allocations, balances, now = Date.now()) {
+  const byKey = new Map(balances.map((b) => [`${b.chain}:${b.address}`, b]));
+  return allocations.map((allocation) => {
+    const rows = allocation.accounts.map(({ chain, address }) => byKey.get(`${chain}:${address}`));
+    const balanceRaw = rows.reduce((sum, row) => sum + (row?.balanceRaw ?? 0n), 0n);
+    const scheduledUnlockedRaw = unlockedRaw(allocation, now);
+    const scheduledLockedRaw = allocation.amountRaw - scheduledUnlockedRaw;
+    const lockedRaw = balanceRaw < scheduledLockedRaw ? balanceRaw : scheduledLockedRaw;
+    const next = nextUnlock(allocation, now);
+    const fullAt = fullyUnlockedAt(allocation);
+    return {
+      id: allocation.id,
+      label: allocation.label,
+      category: allocation.category,
+      scheduleType: allocation.schedule.type,
+      amountRaw: allocation.amountRaw,
+      scheduledUnlockedRaw,
+      scheduledLockedRaw,
+      balanceRaw,
+      lockedRaw,
+      unlockedHeldRaw: balanceRaw - lockedRaw,
+      releasedRaw: balanceRaw < allocation.amountRaw ? allocation.amountRaw - balanceRaw : 0n,
+      overdrawn: balanceRaw < scheduledLockedRaw,
+      nextUnlock: next ? { date: new Date(next.at).toISOString(), amountRaw: next.raw } : null,
+      fullyUnlockedAt: fullAt === null ? null : new Date(fullAt).toISOString(),
+      errors: rows.filter((row) => row?.error).map((row) => `${row.address}: ${row.error}`),
+    };
+  });
+}
+
+// -- Projection ---------------------------------------------------------------
+
+// Month-end points for the next `months` months. Unlocks are assumed to
+// enter circulation when they unlock, up to each allocation's live locked
+// amount; burns continue at burnRatePerDayRaw and leave both circulating
+// and total supply.
+export function projectSupply({ allocations, status, circulatingRaw, totalRaw, burnRatePerDayRaw, months, now = Date.now() }) {
+  const remaining = new Map(status.map((s) => [s.id, s.lockedRaw]));
+  const current = new Date(now);
+  let from = now;
+  let circulating = circulatingRaw;
+  let total = totalRaw;
+
+  const points = [];
+  for (let m = 1; m <= months; m++) {
+    const to = Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + m, 1);
+    const unlocks = [];
+    for (const allocation of allocations) {
+      const scheduled = unlockedRaw(allocation, to) - unlockedRaw(allocation, from);
+      const left = remaining.get(allocation.id);
+      const unlocked = scheduled < left ? scheduled : left;
+      if (unlocked <= 0n) continue;
+      remaining.set(allocation.id, left - unlocked);
+      unlocks.push({ id: allocation.id, amountRaw: unlocked });
+    }
+    const unlockedTotal = unlocks.reduce((sum, u) => sum + u.amountRaw, 0n);
+    const burned = (burnRatePerDayRaw * BigInt(to - from)) / 86400000n;
+    circulating = circulating + unlockedTotal - burned;
+    if (circulating < 0n) circulating = 0n;
+    total -= burned;
+
+    points.push({
+      month: new Date(to - 1).toISOString().slice(0, 7),
+      date: new Date(to).toISOString(),
+      unlockedRaw: unlockedTotal,
+      burnedRaw: burned,
+      circulatingRaw: circulating,
+      totalSupplyRaw: total,
+      lockedRaw: [...remaining.values()].reduce((sum, r) => sum + r, 0n),
+      unlocks,
+    });
+    from = to;
+  }
+  return points;
+}
@@ -0,0 +1,221 @@
+/**
+ * Outbound webhooks.
+ *
+ * Subscriptions come from config/webhooks.json (override the path with
+ * WEBHOOKS_CONFIG) or from the admin API. Each subscription:
+ *
+ *   id         unique name
+ *   url        http(s) endpoint receiving POSTs
+ *   events     event types to deliver, or ["*"] for all
+ *   secret     HMAC key (config files may use secretEnv to name an env var)
+ *
+ * Every delivery is a JSON body { id, type, timestamp, data } with headers
+ *   X-Myth-Event, X-Myth-Delivery, X-Myth-Timestamp (unix seconds) and
+ *   X-Myth-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Non-2xx responses and network errors are retried with exponential backoff
+ * (retryBaseMs * 2^(attempt-1), capped at maxRetryDelayMs) up to maxAttempts.
+ * The delivery log keeps the most recent maxLog deliveries in memory only:
+ * a restart drops it, along with any pending retries.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import { jsonReplacer } from "./amounts.js";
+
+export const WEBHOOK_EVENTS = [
+  "burn.milestone",
+  "burn.large",
+  "supply.parity_drift",
+  "fee_config.paused",
+  "fee_config.unpaused",
+  "foundation.balance_changed",
+  "epoch.closed",
+  "price.failover",
+  "invariant.violated",
+  "invariant.resolved",
+  "webhook.test",
+];
+
+// -- Subscriptions ------------------------------------------------------------
+
+export function validateSubscription(entry, where = "webhook subscription") {
+  if (!entry || typeof entry !== "object") throw new Error(`${where}: must be an object`);
+  if (!entry.id || typeof entry.id !== "string") throw new Error(`${where}: missing id`);
+  let url;
+  try {
+    url = new URL(entry.url);
+  } catch {
+    throw new Error(`${where}: invalid url ${entry.url}`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") throw new Error(`${where}: url must be http(s)`);
+  if (!Array.isArray(entry.events) || entry.events.length === 0) throw new Error(`${where}: events must be a non-empty array`);
+  for (const type of entry.events) {
+    if (type !== "*" && !WEBHOOK_EVENTS.includes(type)) {
+      throw new Error(`${where}: unknown event ${type} (known: ${WEBHOOK_EVENTS.join(", ")})`);
+    }
+  }
+  const secret = entry.secretEnv ? process.env[entry.secretEnv] : entry.secret;
+  if (!secret) throw new Error(`${where}: missing secret${entry.secretEnv ? ` (env ${entry.secretEnv} is unset)` : ""}`);
+  return { id: entry.id, url: url.toString(), events: [...entry.events], secret };
+}
+
+export function loadWebhookSubscriptions(file) {
+  if (!fs.existsSync(file)) return [];
+  const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const entries = Array.isArray(parsed) ? parsed : parsed.subscriptions;
+  if (!Array.isArray(entries)) throw new Error(`${file}: expected a "subscriptions" array`);
+  const subscriptions = entries.map((e, i) => validateSubscription(e, `webhook subscription #${i}${e?.id ? ` (${e.id})` : ""}`));
+  const ids = new Set(subscriptions.map((s) => s.id));
+  if (ids.size !== subscriptions.length) throw new Error(`${file}: duplicate subscription id`);
+  console.log(`[supply-oracle] Loaded ${subscriptions.length} webhook subscriptions`);
+  return subscriptions;
+}
+
+// -- Signing ------------------------------------------------------------------
+
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// For receivers: checks the signature and rejects timestamps older than toleranceSec.
+export function verifyWebhookSignature(secret, timestamp, body, signature, { toleranceSec = 300, now = Date.now() } = {}) {
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSec) return false;
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// -- Dispatcher ---------------------------------------------------------------
+
+export function createWebhookDispatcher({
+  subscriptions = [],
+  maxAttempts = 6,
+  retryBaseMs = 5000,
+  maxRetryDelayMs = 3600000,
+  timeoutMs = 10000,
+  maxLog = 1000,
+}) {
+  const subs = new Map(subscriptions.map((s) => [s.id, { ...s, source: "config" }]));
+  const log = [];
+
+  function matches(sub, type) {
+    return sub.events.includes("*") || sub.events.includes(type);
+  }
+
+  function addToLog(delivery) {
+    log.push(delivery);
+    // Drop the oldest finished deliveries; pending ones stay until done
+    while (log.length > maxLog) {
+      const index = log.findIndex((d) => d.status !== "pending");
+      if (index === -1) break;
+      log.splice(index, 1);
+    }
+  }
+
+  async function attempt(delivery) {
+    const sub = subs.get(delivery.subscriptionId);
+    if (!sub) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      delivery.attempts.push({ at: new Date().toISOString(), status: null, error: "subscription removed", durationMs: 0 });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let status = null;
+    let error = null;
+    try {
+      const res = await fetch(sub.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "mythic-supply-oracle",
+          "X-Myth-Event": delivery.type,
+          "X-Myth-Delivery": delivery.id,
+          "X-Myth-Timestamp": String(timestamp),
+          "X-Myth-Signature": signWebhook(sub.secret, timestamp, delivery.body),
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      status = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+    delivery.attempts.push({ at: new Date(started).toISOString(), status, error, durationMs: Date.now() - started });
+
+    if (!error) {
+      delivery.status = "delivered";
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= maxAttempts) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      console.log(`[supply-oracle] Webhook ${delivery.type} to ${sub.id} failed after ${maxAttempts} attempts: ${error}`);
+    } else {
+      const delay = Math.min(retryBaseMs * 2 ** (delivery.attempts.length - 1), maxRetryDelayMs);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      setTimeout(() => attempt(delivery), delay).unref();
+    }
+  }
+
+  // Queue one delivery per matching subscription (or only `onlyId`)
+  function emit(type, data, { onlyId = null } = {}) {
+    const event = { id: crypto.randomUUID(), type, timestamp: new Date().toISOString(), data };
+    const body = JSON.stringify(event, jsonReplacer);
+    const targets = [...subs.values()].filter((sub) => (onlyId ? sub.id === onlyId : matches(sub, type)));
+    for (const sub of targets) {
+      const delivery = {
+        id: crypto.randomUUID(),
+        eventId: event.id,
+        type,
+        subscriptionId: sub.id,
+        url: sub.url,
+        status: "pending",
+        createdAt: event.timestamp,
+        nextAttemptAt: event.timestamp,
+        attempts: [],
+        body,
+      };
+      addToLog(delivery);
+      attempt(delivery);
+    }
+    return event;
+  }
+
+  function add(entry, source = "admin") {
+    const sub = validateSubscription(entry);
+    if (subs.has(sub.id)) throw new Error(`subscription ${sub.id} already exists`);
+    subs.set(sub.id, { ...sub, source });
+    return sub;
+  }
+
+  function remove(id) {
+    return subs.delete(id);
+  }
+
+  // Secrets are never returned by list()
+  function list() {
+    return [...subs.values()].map(({ secret: _secret, ...sub }) => sub);
+  }
+
+  function deliveries({ subscriptionId, status, type } = {}) {
+    return log
+      .filter((d) => (!subscriptionId || d.subscriptionId === subscriptionId)
+        && (!status || d.status === status)
+        && (!type || d.type === type))
+      .map(({ body: _body, ...d }) => d);
+  }
+
+  return {
+    emit,
+    add,
+    remove,
+    get: (id) => subs.get(id) || null,
+    list,
+    deliveries,
+    settings: { maxAttempts, retryBaseMs, maxRetryDelayMs, timeoutMs },
+  };
+}
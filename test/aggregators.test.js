@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import express from "express";
+import { aggregatorRouter } from "../lib/aggregators.js";
+import { jsonReplacer } from "../lib/amounts.js";
+
+// A fixed poll result: 1,000,000,000.123456 total, 497,000,000.5 circulating
+const supplyData = {
+  raw: { totalSupply: 1000000000123456n, circulating: 497000000500000n },
+  lastUpdated: "2026-10-19T08:00:00.000Z",
+};
+const CANONICAL_TOTAL_RAW = 1000000000000000n;
+
+let stale = [];
+let polls = 1;
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.set("json replacer", jsonReplacer);
+  app.use(aggregatorRouter({
+    symbol: "MYTH",
+    tokenDecimals: 6,
+    retryAfterMs: 15000,
+    source: {
+      figures: () => ({ total: supplyData.raw.totalSupply, circulating: supplyData.raw.circulating, max: CANONICAL_TOTAL_RAW }),
+      updatedAt: () => supplyData.lastUpdated,
+      plainStaleFields: () => stale,
+      staleFields: () => stale,
+      ready: () => polls > 0,
+    },
+  }));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+async function get(path) {
+  const res = await fetch(`${base}${path}`);
+  return { status: res.status, type: res.headers.get("content-type"), body: await res.text() };
+}
+
+describe("plain-text supply routes", () => {
+  const cases = {
+    "/supply": "1000000000",
+    "/circulating": "497000001",
+    "/max-supply": "1000000000",
+    "/api/v1/cmc/total-supply": "1000000000.123456",
+    "/api/v1/cmc/circulating-supply": "497000000.5",
+    "/api/v1/cmc/max-supply": "1000000000",
+    "/supply?precision=raw": "1000000000123456",
+    "/circulating?precision=decimal": "497000000.5",
+    "/api/v1/cmc/total-supply?precision=integer": "1000000000",
+    "/api/v1/cmc/max-supply?precision=raw": "1000000000000000",
+  };
+  for (const [path, expected] of Object.entries(cases)) {
+    it(`serves ${path}`, async () => {
+      const res = await get(path);
+      assert.equal(res.status, 200);
+      assert.match(res.type, /^text\/plain/);
+      assert.equal(res.body, expected);
+    });
+  }
+
+  it("rejects an unknown precision", async () => {
+    const res = await get("/supply?precision=exact");
+    assert.equal(res.status, 400);
+    assert.deepEqual(JSON.parse(res.body), { error: "Invalid precision: exact (expected integer, decimal, raw)" });
+  });
+
+  it("refuses stale live figures but still serves max supply", async () => {
+    stale = ["l2Supply"];
+    try {
+      const res = await get("/api/v1/cmc/circulating-supply");
+      assert.equal(res.status, 503);
+      assert.equal(res.body, "Supply data is stale: l2Supply");
+      assert.equal((await get("/max-supply")).body, "1000000000");
+    } finally {
+      stale = [];
+    }
+  });
+});
+
+describe("/api/v1/defillama/supply", () => {
+  it("serves JSON numbers", async () => {
+    const res = await get("/api/v1/defillama/supply");
+    assert.equal(res.status, 200);
+    assert.equal(res.body, JSON.stringify({
+      symbol: "MYTH",
+      decimals: 6,
+      circulating: 497000000.5,
+      total: 1000000000.123456,
+      max: 1000000000,
+      timestamp: 1792396800,
+      stale: false,
+      staleFields: [],
+    }));
+  });
+
+  it("serves base-unit strings with ?precision=raw", async () => {
+    const res = await get("/api/v1/defillama/supply?precision=raw");
+    assert.equal(res.body, JSON.stringify({
+      symbol: "MYTH",
+      decimals: 6,
+      circulating: "497000000500000",
+      total: "1000000000123456",
+      max: "1000000000000000",
+      rawDecimals: 6,
+      timestamp: 1792396800,
+      stale: false,
+      staleFields: [],
+    }));
+  });
+
+  it("answers 503 before the first poll", async () => {
+    polls = 0;
+    try {
+      const res = await get("/api/v1/defillama/supply");
+      assert.equal(res.status, 503);
+      assert.deepEqual(JSON.parse(res.body), { error: "Supply not loaded yet", retryAfterMs: 15000 });
+    } finally {
+      polls = 1;
+    }
+  });
+});
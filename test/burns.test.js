@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createBurnIndexer, extractBurns } from "../lib/burns.js";
+
+const MINT = "Mint111111111111111111111111111111111111111";
+const FEE_PROGRAM = "Fee1111111111111111111111111111111111111111";
+const PAYER = "Payer11111111111111111111111111111111111111";
+
+function burn(amount, type = "burn") {
+  return {
+    program: "spl-token",
+    programId: "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA",
+    parsed: {
+      type,
+      info: type === "burnChecked"
+        ? { mint: MINT, account: "Acct", authority: PAYER, tokenAmount: { amount: String(amount) } }
+        : { mint: MINT, account: "Acct", authority: PAYER, amount: String(amount) },
+    },
+  };
+}
+
+function transaction({ err = null, logs = [] } = {}) {
+  return {
+    slot: 42,
+    blockTime: 1700000000,
+    transaction: {
+      signatures: ["Sig1"],
+      message: {
+        accountKeys: [{ pubkey: PAYER }],
+        instructions: [{ programId: FEE_PROGRAM }, burn(7), { program: "system", parsed: { type: "transfer", info: {} } }],
+      },
+    },
+    meta: {
+      err,
+      logMessages: logs,
+      innerInstructions: [{ index: 0, instructions: [burn(5, "burnChecked"), { ...burn(9), parsed: { ...burn(9).parsed, info: { mint: "Other" } } }] }],
+    },
+  };
+}
+
+describe("extractBurns", () => {
+  it("records top-level burns as direct and fee-program burns as fee", () => {
+    const logs = [
+      `Program ${FEE_PROGRAM} invoke [1]`,
+      "Program log: Collecting inference fee",
+      "Program TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA invoke [2]",
+      "Program log: Instruction: BurnChecked",
+      "Program TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA success",
+      `Program ${FEE_PROGRAM} success`,
+    ];
+    const burns = extractBurns(transaction({ logs }), { mint: MINT, feeProgram: FEE_PROGRAM });
+    assert.deepEqual(burns.map(({ id, kind, category, amount }) => ({ id, kind, category, amount })), [
+      { id: "Sig1:1", kind: "direct", category: null, amount: 7n },
+      { id: "Sig1:0.0", kind: "fee", category: "inference", amount: 5n },
+    ]);
+    assert.equal(burns[0].payer, PAYER);
+    assert.equal(burns[0].blockTime, "2023-11-14T22:13:20.000Z");
+  });
+
+  it("ignores categories logged by other programs", () => {
+    const logs = ["Program Other111 invoke [1]", "Program log: gas", "Program Other111 success"];
+    const [, fee] = extractBurns(transaction({ logs }), { mint: MINT, feeProgram: FEE_PROGRAM });
+    assert.equal(fee.category, null);
+  });
+
+  it("records nothing for a failed transaction", () => {
+    assert.deepEqual(extractBurns(transaction({ err: { InstructionError: [0, "Custom"] } }), { mint: MINT, feeProgram: FEE_PROGRAM }), []);
+  });
+});
+
+describe("createBurnIndexer", () => {
+  const entry = (slot, id, kind = "fee", category = "gas") => ({ id, slot, kind, category, payer: PAYER, amount: String(slot) });
+
+  function indexer() {
+    const burns = createBurnIndexer({ addresses: [], mint: MINT, feeProgram: FEE_PROGRAM, call: null, maxEntries: 3 });
+    burns.restore([entry(5, "e"), entry(1, "a"), entry(9, "z", "direct", null), entry(3, "c", "fee", null), entry(7, "g"), entry(7, "g"), entry(2, "b")]);
+    return burns;
+  }
+
+  it("keeps the newest maxEntries burns, newest first", () => {
+    const burns = indexer();
+    assert.deepEqual(burns.query().burns.map((e) => e.id), ["z", "g", "e"]);
+    assert.deepEqual(burns.query({ offset: 1, limit: 1 }), { count: 3, burns: [burns.query().burns[1]] });
+    assert.deepEqual(burns.query({ kind: "fee" }).burns.map((e) => e.id), ["g", "e"]);
+    const { entries, kept, keptFromSlot } = burns.status();
+    assert.deepEqual({ entries, kept, keptFromSlot }, { entries: 6, kept: 3, keptFromSlot: 5 });
+  });
+
+  it("reconciles against every burn indexed, not only the kept ones", () => {
+    const feeConfig = { totalBurned: 18n, gasBurned: 15n, computeBurned: 0n, inferenceBurned: 0n, bridgeBurned: 0n, subnetBurned: 0n };
+    const reconciliation = indexer().reconcile(feeConfig, 9);
+    assert.equal(reconciliation.ledgerFeeBurned, 18n);
+    assert.equal(reconciliation.ledgerDirectBurned, 9n);
+    assert.equal(reconciliation.ledgerUnclassified, 3n);
+    assert.equal(reconciliation.categories.gas.difference, 0n);
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { amountColumns, column, streamTable } from "../lib/export.js";
+
+// Just enough of an Express response for streamTable
+function response() {
+  const res = {
+    headers: {},
+    body: "",
+    destroyed: false,
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    attachment(filename) {
+      res.headers["Content-Disposition"] = `attachment; filename="${filename}"`;
+      return res;
+    },
+    write(chunk) {
+      res.body += chunk;
+      return true;
+    },
+    end() {
+      res.ended = true;
+    },
+  };
+  return res;
+}
+
+const columns = [column("label", (row) => row.label), ...amountColumns("amount", (row) => row.amount, 6)];
+
+function* rows() {
+  yield { label: "plain", amount: 1500000n };
+  yield { label: "comma, quote \" and\nnewline", amount: null };
+}
+
+describe("streamTable", () => {
+  it("quotes CSV cells that need it and leaves missing amounts empty", async () => {
+    const res = response();
+    await streamTable(res, { format: "csv", columns, rows: rows(), filename: "burns" });
+    assert.equal(res.body, [
+      "label,amount,amountRaw",
+      "plain,1.5,1500000",
+      "\"comma, quote \"\" and\nnewline\",,",
+      "",
+    ].join("\r\n"));
+    assert.equal(res.headers["Content-Type"], "text/csv; charset=utf-8");
+    assert.equal(res.headers["Content-Disposition"], "attachment; filename=\"burns.csv\"");
+    assert.equal(res.ended, true);
+  });
+
+  it("writes NDJSON with the columns in order", async () => {
+    const res = response();
+    await streamTable(res, { format: "ndjson", columns, rows: rows(), filename: "burns" });
+    assert.deepEqual(res.body.trimEnd().split("\n").map((line) => JSON.parse(line)), [
+      { label: "plain", amount: 1.5, amountRaw: "1500000" },
+      { label: "comma, quote \" and\nnewline", amount: null, amountRaw: null },
+    ]);
+  });
+});
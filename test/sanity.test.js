@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createFieldGuard } from "../lib/sanity.js";
+
+const MINUTE = 60000;
+
+function guard(rejections = []) {
+  return createFieldGuard({
+    fields: {
+      l1Supply: { source: "l1 mint", nonZero: true, inTotal: true },
+      l2Supply: { source: "l2 mint", nonZero: true, inTotal: true },
+      burned: { source: "fee config" },
+    },
+    maxJumpPct: 10,
+    maxRaw: 2000n,
+    maxTotalRaw: 1000n,
+    confirmMs: 5 * MINUTE,
+    staleAfterMs: 3 * MINUTE,
+    onReject: (name, rejected) => rejections.push({ name, ...rejected }),
+  });
+}
+
+const read = (value) => ({ value, error: null });
+
+describe("createFieldGuard", () => {
+  it("accepts the first reads and reports nothing stale", () => {
+    const g = guard();
+    const result = g.apply({ l1Supply: read(600n), l2Supply: read(400n) }, { l1Supply: 10, l2Supply: 20 }, 0);
+    assert.deepEqual(result, { l1Supply: { raw: 600n, error: null }, l2Supply: { raw: 400n, error: null } });
+    assert.deepEqual(g.staleFields(MINUTE), ["burned"]);
+    assert.equal(g.status(MINUTE).l2Supply.slot, 20);
+  });
+
+  it("rejects a zero mint supply and keeps the last good value", () => {
+    const rejections = [];
+    const g = guard(rejections);
+    g.apply({ l1Supply: read(600n) }, {}, 0);
+    const result = g.apply({ l1Supply: read(0n) }, {}, MINUTE);
+    assert.deepEqual(result.l1Supply, { raw: 600n, error: "rejected (zero): read 0" });
+    assert.equal(rejections[0].reason, "zero");
+  });
+
+  it("keeps serving the last good value when a read fails", () => {
+    const g = guard();
+    g.apply({ burned: read(50n) }, {}, 0);
+    const result = g.apply({ burned: { value: null, error: "timeout" } }, {}, MINUTE);
+    assert.deepEqual(result.burned, { raw: 50n, error: "timeout" });
+    assert.equal(g.status(MINUTE).burned.rejected.reason, "failed");
+  });
+
+  it("accepts a jump once agreeing reads have kept coming for confirmMs", () => {
+    const g = guard();
+    g.apply({ burned: read(100n) }, {}, 0);
+
+    assert.deepEqual(g.apply({ burned: read(150n) }, {}, MINUTE).burned, { raw: 100n, error: "rejected (jump): read 150" });
+    assert.equal(g.status(MINUTE).burned.pendingSince, new Date(MINUTE).toISOString());
+    assert.equal(g.apply({ burned: read(152n) }, {}, 4 * MINUTE).burned.raw, 100n);
+
+    const result = g.apply({ burned: read(155n) }, {}, 6 * MINUTE);
+    assert.deepEqual(result.burned, { raw: 155n, error: null });
+    assert.equal(g.status(6 * MINUTE).burned.pendingSince, null);
+  });
+
+  it("restarts the confirmation when a read disagrees with the pending jump", () => {
+    const g = guard();
+    g.apply({ burned: read(100n) }, {}, 0);
+    g.apply({ burned: read(150n) }, {}, MINUTE);
+    g.apply({ burned: read(300n) }, {}, 3 * MINUTE);
+
+    assert.equal(g.apply({ burned: read(300n) }, {}, 6 * MINUTE).burned.raw, 100n);
+    assert.equal(g.apply({ burned: read(300n) }, {}, 8 * MINUTE).burned.raw, 300n);
+  });
+
+  it("reverts the moved fields when their sum goes above maxTotalRaw", () => {
+    const rejections = [];
+    const g = guard(rejections);
+    g.apply({ l1Supply: read(600n), l2Supply: read(400n) }, {}, 0);
+
+    // Each read is within its own jump bound, but together they exceed the total
+    const result = g.apply({ l1Supply: read(600n), l2Supply: read(430n) }, {}, MINUTE);
+    assert.deepEqual(result, {
+      l1Supply: { raw: 600n, error: null },
+      l2Supply: { raw: 400n, error: "rejected (above-max): read 430" },
+    });
+    assert.deepEqual(rejections.map((r) => [r.name, r.reason]), [["l2Supply", "above-max"]]);
+    assert.equal(g.status(MINUTE).l2Supply.lastGoodAt, new Date(0).toISOString());
+  });
+
+  it("rejects a read above maxRaw on its own", () => {
+    const g = guard();
+    assert.deepEqual(g.apply({ burned: read(2001n) }, {}, 0).burned, { raw: null, error: "rejected (above-max): read 2001" });
+  });
+});
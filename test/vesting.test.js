@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { addMonths, loadVestingSchedule, projectSupply, unlockedRaw, vestingStatus } from "../lib/vesting.js";
+
+const MYTH = 1000000n; // SUPPLY_RAW_DECIMALS = 6
+
+const registry = ["team", "investors", "ecosystem"].map((address) => ({ chain: "l2", address, excluded: true }));
+const schedule = {
+  allocations: [
+    {
+      id: "team",
+      category: "team",
+      amount: "1200",
+      accounts: [{ chain: "l2", address: "team" }],
+      schedule: { type: "linear", start: "2026-01-31T00:00:00Z", cliffMonths: 1, durationMonths: 12 },
+    },
+    {
+      id: "investors",
+      category: "investors",
+      amount: "100",
+      accounts: [{ chain: "l2", address: "investors" }],
+      schedule: { type: "cliff", start: "2028-01-31T12:00:00.500Z", cliffMonths: 1 },
+    },
+    {
+      id: "ecosystem",
+      category: "ecosystem",
+      amount: "100",
+      accounts: [{ chain: "l2", address: "ecosystem" }],
+      schedule: { type: "custom", unlocks: [{ date: "2026-06-01T00:00:00Z", amount: "50" }, { date: "2026-03-01T00:00:00Z", percent: "25" }] },
+    },
+  ],
+};
+
+let dir;
+let allocations;
+const byId = (id) => allocations.find((a) => a.id === id);
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-test-"));
+  const file = path.join(dir, "vesting.json");
+  fs.writeFileSync(file, JSON.stringify(schedule));
+  allocations = loadVestingSchedule(file, registry);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("addMonths", () => {
+  it("clamps to the last day of a shorter month", () => {
+    assert.equal(addMonths(Date.parse("2026-01-31T00:00:00Z"), 1), Date.parse("2026-02-28T00:00:00Z"));
+    assert.equal(addMonths(Date.parse("2028-01-31T00:00:00Z"), 1), Date.parse("2028-02-29T00:00:00Z"));
+    assert.equal(addMonths(Date.parse("2026-05-31T00:00:00Z"), 25), Date.parse("2028-06-30T00:00:00Z"));
+  });
+
+  it("keeps the full time of day", () => {
+    assert.equal(addMonths(Date.parse("2026-01-31T12:34:56.789Z"), 1), Date.parse("2026-02-28T12:34:56.789Z"));
+    assert.equal(addMonths(Date.parse("2026-08-15T01:02:03.004Z"), 12), Date.parse("2027-08-15T01:02:03.004Z"));
+  });
+});
+
+describe("unlockedRaw", () => {
+  it("releases nothing before a linear cliff and what accrued at it", () => {
+    const team = byId("team");
+    const cliffAt = Date.parse("2026-02-28T00:00:00Z");
+    assert.equal(unlockedRaw(team, cliffAt - 1), 0n);
+    assert.equal(unlockedRaw(team, cliffAt), (1200n * MYTH * 28n) / 365n);
+    assert.equal(unlockedRaw(team, Date.parse("2027-01-31T00:00:00Z")), 1200n * MYTH);
+  });
+
+  it("unlocks a month-end cliff on the last day of the next month", () => {
+    const investors = byId("investors");
+    const cliffAt = Date.parse("2028-02-29T12:00:00.500Z");
+    assert.equal(unlockedRaw(investors, cliffAt - 1), 0n);
+    assert.equal(unlockedRaw(investors, cliffAt), 100n * MYTH);
+  });
+
+  it("adds up custom unlocks given as percent and amount", () => {
+    const ecosystem = byId("ecosystem");
+    assert.equal(unlockedRaw(ecosystem, Date.parse("2026-02-28T00:00:00Z")), 0n);
+    assert.equal(unlockedRaw(ecosystem, Date.parse("2026-03-01T00:00:00Z")), 25n * MYTH);
+    assert.equal(unlockedRaw(ecosystem, Date.parse("2026-06-01T00:00:00Z")), 75n * MYTH);
+  });
+});
+
+describe("projectSupply", () => {
+  const now = Date.parse("2026-04-15T00:00:00Z");
+
+  function project(balanceRaw) {
+    const ecosystem = [byId("ecosystem")];
+    const status = vestingStatus(ecosystem, [{ chain: "l2", address: "ecosystem", balanceRaw, error: null }], now);
+    return projectSupply({
+      allocations: ecosystem,
+      status,
+      circulatingRaw: 1000n * MYTH,
+      totalRaw: 2000n * MYTH,
+      burnRatePerDayRaw: MYTH,
+      months: 3,
+      now,
+    });
+  }
+
+  it("adds unlocks and subtracts burns at each month end", () => {
+    const points = project(75n * MYTH);
+    assert.deepEqual(points.map((p) => [p.month, p.date]), [
+      ["2026-04", "2026-05-01T00:00:00.000Z"],
+      ["2026-05", "2026-06-01T00:00:00.000Z"],
+      ["2026-06", "2026-07-01T00:00:00.000Z"],
+    ]);
+    assert.deepEqual(points.map((p) => p.burnedRaw), [16n * MYTH, 31n * MYTH, 30n * MYTH]);
+    assert.deepEqual(points.map((p) => p.unlockedRaw), [0n, 50n * MYTH, 0n]);
+    assert.deepEqual(points[1].unlocks, [{ id: "ecosystem", amountRaw: 50n * MYTH }]);
+    assert.equal(points[2].circulatingRaw, (1000n + 50n - 77n) * MYTH);
+    assert.equal(points[2].totalSupplyRaw, (2000n - 77n) * MYTH);
+    assert.equal(points[2].lockedRaw, 25n * MYTH);
+  });
+
+  it("caps unlocks at the live locked balance", () => {
+    const points = project(30n * MYTH);
+    assert.equal(points[1].unlockedRaw, 30n * MYTH);
+    assert.equal(points[2].lockedRaw, 0n);
+  });
+});